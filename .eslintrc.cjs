@@ -10,4 +10,10 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  // Tests run on vitest, whose API the jest rules understand once given a jest version
+  settings: {
+    jest: {
+      version: 28,
+    },
+  },
 };
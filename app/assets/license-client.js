@@ -0,0 +1,462 @@
+/*
+ * Theme license client. The app serves it at /api/license/client.js with its
+ * own URL filled in, and snippets/license-check.liquid loads it whenever the
+ * Liquid license state does not unlock the theme. The snippet passes the store
+ * and theme in window.ThemeLicense before loading it. The app also fills in the
+ * public keys that license tokens are verified with.
+ */
+var LICENSE_API_URL = '__LICENSE_APP_URL__';
+var LICENSE_DOMAIN = window.ThemeLicense.domain;
+var LICENSE_TOKEN_STORAGE_KEY = 'theme_license_token';
+var LICENSE_BACKOFF_STORAGE_KEY = 'theme_license_backoff';
+var LICENSE_LAST_TOKEN_STORAGE_KEY = 'theme_license_last_token';
+
+// Theme fingerprint sent with activations and checks; fields the theme leaves empty are not sent
+var LICENSE_THEME = window.ThemeLicense.theme;
+var LICENSE_THEME_FIELDS = Object.keys(LICENSE_THEME).filter((field) => LICENSE_THEME[field]);
+
+// Keys license tokens must be signed with, built in when the app serves this script.
+// Tokens are never checked against keys fetched at runtime, which could come from
+// anyone able to answer for the app's origin.
+var LICENSE_PUBLIC_KEYS = JSON.parse('__LICENSE_PUBLIC_KEYS__');
+
+// Token of the Liquid license state, if the store had one; used when the server is unreachable
+var LICENSE_STATE_TOKEN = window.ThemeLicense.stateToken;
+
+// Checks repeat while the theme is locked; failed checks back off exponentially
+var LICENSE_CHECK_INTERVAL_MS = 30000;
+var LICENSE_MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// Called from the overlay's onclick attribute
+window.activateLicense = activateLicense;
+
+// License activation function
+async function activateLicense() {
+  const licenseKey = document.getElementById('license-key-input').value.trim();
+  const domain = document.getElementById('shop-domain-input').value.trim();
+  const activateBtn = document.getElementById('activate-btn');
+  const errorMsg = document.getElementById('error-message');
+  const successMsg = document.getElementById('success-message');
+
+  // Hide previous messages
+  errorMsg.style.display = 'none';
+  successMsg.style.display = 'none';
+
+  // Validate inputs
+  if (!licenseKey) {
+    showError('Please enter your license key');
+    return;
+  }
+
+  if (!domain) {
+    showError('Shop domain is required');
+    return;
+  }
+
+  // Show loading state
+  activateBtn.disabled = true;
+  const activateLabel = activateBtn.textContent;
+  activateBtn.textContent = 'Activating...';
+
+  try {
+    const formData = new FormData();
+    formData.append('licenseKey', licenseKey);
+    formData.append('domain', domain);
+    LICENSE_THEME_FIELDS.forEach((field) => formData.append(field, LICENSE_THEME[field]));
+
+    const response = await fetch(LICENSE_API_URL + '/api/activate', {
+      method: 'POST',
+      body: formData,
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      showSuccess('License activated successfully! Theme is now unlocked.');
+      // Hide the overlay after 2 seconds
+      setTimeout(() => {
+        document.getElementById('theme-license-notice').style.display = 'none';
+      }, 2000);
+    } else if (result.transferFrom && result.transferFrom.length) {
+      showTransferOptions(licenseKey, domain, result.error, result.transferFrom);
+    } else {
+      showError(result.error || 'Activation failed. Please try again.', result.installUrl);
+    }
+
+  } catch (error) {
+    console.error('Activation error:', error);
+    showError('Network error. Please check your connection and try again.');
+  } finally {
+    // Reset button state
+    activateBtn.disabled = false;
+    activateBtn.textContent = activateLabel;
+  }
+}
+
+// Show error message, optionally followed by a link (e.g. to install the app)
+function showError(message, linkUrl) {
+  const errorMsg = document.getElementById('error-message');
+  errorMsg.textContent = message;
+
+  if (linkUrl) {
+    const link = document.createElement('a');
+    link.href = linkUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = ' Install the app';
+    errorMsg.appendChild(link);
+  }
+
+  errorMsg.style.display = 'block';
+}
+
+// Offer to move a license that has no free seats from one of its current stores
+function showTransferOptions(licenseKey, domain, message, fromDomains) {
+  showError(message);
+  const errorMsg = document.getElementById('error-message');
+
+  fromDomains.forEach((fromDomain) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Move license from ' + fromDomain + ' to this store';
+    button.style.cssText = 'display: block; margin-top: 8px; background: none; border: none; padding: 0; color: #721c24; text-decoration: underline; cursor: pointer;';
+    button.onclick = () => transferLicense(licenseKey, fromDomain, domain);
+    errorMsg.appendChild(button);
+  });
+}
+
+// Posts to the transfer endpoint and returns its JSON answer
+async function postTransfer(fields) {
+  const formData = new FormData();
+  Object.keys(fields).forEach((field) => formData.append(field, fields[field]));
+
+  const response = await fetch(LICENSE_API_URL + '/api/transfer', {
+    method: 'POST',
+    body: formData,
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+
+  return response.json();
+}
+
+// Self-service transfer: the old store stops being licensed once this one is.
+// The buyer proves the license is theirs with a code emailed to the order's address.
+async function transferLicense(licenseKey, fromDomain, domain) {
+  if (!confirm('Move this license from ' + fromDomain + ' to ' + domain + '? The theme will lock on ' + fromDomain + '.')) {
+    return;
+  }
+
+  const email = (prompt('Enter the email address you bought the theme with. We will send a code to it.') || '').trim();
+  if (!email) {
+    return;
+  }
+
+  try {
+    const sent = await postTransfer({ intent: 'send_code', licenseKey: licenseKey, email: email });
+    if (!sent.success) {
+      showError(sent.error || 'The code could not be sent. Please try again.');
+      return;
+    }
+
+    const code = (prompt(sent.message + ' Enter the 6-digit code from the email.') || '').trim();
+    if (!code) {
+      return;
+    }
+
+    const result = await postTransfer({
+      licenseKey: licenseKey,
+      email: email,
+      code: code,
+      fromDomain: fromDomain,
+      domain: domain
+    });
+
+    if (result.success) {
+      document.getElementById('error-message').style.display = 'none';
+      showSuccess(result.message);
+      setTimeout(() => {
+        document.getElementById('theme-license-notice').style.display = 'none';
+      }, 2000);
+    } else {
+      showError(result.error || 'Transfer failed. Please try again.', result.installUrl);
+    }
+  } catch (error) {
+    console.error('Transfer error:', error);
+    showError('Network error. Please check your connection and try again.');
+  }
+}
+
+// Show success message
+function showSuccess(message) {
+  const successMsg = document.getElementById('success-message');
+  successMsg.textContent = message;
+  successMsg.style.display = 'block';
+}
+
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+// Verify the ES256 signature and claims of a token from /api/license/check.
+// Resolves to the token claims, or null if the token is invalid. `allowExpired`
+// accepts tokens past their expiry, to look up the last license seen during an outage.
+async function verifyLicenseToken(token, allowExpired) {
+  try {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3 || !window.crypto || !window.crypto.subtle) {
+      return null;
+    }
+
+    const header = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[0])));
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[1])));
+
+    if (claims.domain !== LICENSE_DOMAIN || (!allowExpired && claims.exp * 1000 <= Date.now())) {
+      return null;
+    }
+
+    // Tokens issued to another theme are re-checked so the new theme gets reported
+    if (claims.themeId && claims.themeId !== LICENSE_THEME.themeId) {
+      return null;
+    }
+
+    // A key rotated without being pinned first is only trusted once this script is served again
+    const jwk = LICENSE_PUBLIC_KEYS.find((key) => key.kid === header.kid);
+    if (!jwk) {
+      return null;
+    }
+
+    const publicKey = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+
+    const valid = await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      publicKey,
+      base64UrlToBytes(parts[2]),
+      new TextEncoder().encode(parts[0] + '.' + parts[1])
+    );
+    return valid ? claims : null;
+  } catch (error) {
+    console.error('License token verification failed:', error);
+    return null;
+  }
+}
+
+function hideLicenseOverlay() {
+  const overlay = document.getElementById('theme-license-notice');
+  if (overlay) {
+    overlay.style.display = 'none';
+  }
+}
+
+// Non-blocking renewal reminder shown while an expired license is in its grace period
+function showGraceBanner(graceEndsAt) {
+  const banner = document.getElementById('theme-license-grace-banner');
+  const daysLeft = Math.max(0, Math.ceil((graceEndsAt - Date.now()) / 86400000));
+  if (banner && !sessionStorage.getItem('theme_license_grace_dismissed')) {
+    document.getElementById('theme-license-grace-days').textContent = daysLeft + (daysLeft === 1 ? ' day' : ' days');
+    banner.style.display = 'block';
+  }
+}
+
+// Switch the overlay copy to the renewal message once the grace period has ended
+function showLicenseExpired() {
+  document.getElementById('theme-license-title').textContent = 'Theme License Expired';
+  document.getElementById('theme-license-message').textContent =
+    'Your theme license has expired. Please renew your license, or enter a new license key below, to unlock the theme again.';
+}
+
+// Overlay copy for a license that is being used on a theme it was not sold for
+function showThemeMismatch() {
+  document.getElementById('theme-license-title').textContent = 'Theme Not Licensed';
+  document.getElementById('theme-license-message').textContent =
+    'This license key belongs to a different theme. Please activate a license purchased for this theme.';
+}
+
+// Overlay copy for a store that uninstalled the license app
+function showStoreSuspended(message, installUrl) {
+  document.getElementById('theme-license-title').textContent = 'Theme License App Uninstalled';
+  document.getElementById('theme-license-message').textContent =
+    'The Theme License app was removed from this store. Reinstall it to unlock the theme again.';
+  showError(message, installUrl);
+}
+
+// Unlock the theme for a verified token, flagging the grace period if the license has expired
+function applyLicenseClaims(claims) {
+  hideLicenseOverlay();
+  if (claims.licenseExpiresAt && claims.licenseExpiresAt * 1000 <= Date.now() && claims.graceEndsAt) {
+    showGraceBanner(claims.graceEndsAt * 1000);
+  }
+}
+
+// Reads the cached check result: a verified token, trusted until the earlier of
+// its own expiry and the max-age /api/license/check allowed it to be cached for
+async function readCachedLicense() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(LICENSE_TOKEN_STORAGE_KEY) || 'null');
+    if (cached && cached.cachedUntil > Date.now()) {
+      return await verifyLicenseToken(cached.token);
+    }
+  } catch (error) {
+    console.error('License cache could not be read:', error);
+  }
+  return null;
+}
+
+// Caches a positive check result as allowed by the response's Cache-Control header
+function cacheLicense(response, token, claims) {
+  const cacheControl = response.headers.get('Cache-Control') || '';
+  const maxAge = /max-age=(\d+)/.exec(cacheControl);
+  if (/no-store/.test(cacheControl)) {
+    return;
+  }
+
+  const cachedUntil = Math.min(claims.exp * 1000, maxAge ? Date.now() + maxAge[1] * 1000 : Infinity);
+  localStorage.setItem(LICENSE_TOKEN_STORAGE_KEY, JSON.stringify({ token: token, cachedUntil: cachedUntil }));
+}
+
+function readBackoff() {
+  try {
+    return JSON.parse(localStorage.getItem(LICENSE_BACKOFF_STORAGE_KEY) || 'null') || { failures: 0, retryAt: 0 };
+  } catch (error) {
+    return { failures: 0, retryAt: 0 };
+  }
+}
+
+// After a failed check, wait as long as Retry-After asks, or twice as long as last time
+function recordCheckFailure(retryAfterSeconds) {
+  const failures = readBackoff().failures + 1;
+  const delay = retryAfterSeconds > 0
+    ? retryAfterSeconds * 1000
+    : Math.min(LICENSE_CHECK_INTERVAL_MS * Math.pow(2, failures - 1), LICENSE_MAX_BACKOFF_MS);
+  localStorage.setItem(LICENSE_BACKOFF_STORAGE_KEY, JSON.stringify({ failures: failures, retryAt: Date.now() + delay }));
+}
+
+// The license server could not be reached: follow the outage policy signed into the
+// most recent license token this browser or the Liquid license state has seen
+async function applyOutagePolicy() {
+  const tokens = [localStorage.getItem(LICENSE_LAST_TOKEN_STORAGE_KEY), LICENSE_STATE_TOKEN].filter(Boolean);
+  let latest = null;
+
+  for (const token of tokens) {
+    const claims = await verifyLicenseToken(token, true);
+    if (claims && (!latest || claims.iat > latest.iat)) {
+      latest = claims;
+    }
+  }
+
+  // No known license, or one that has run out its grace period, stays locked whatever the policy
+  if (!latest || (latest.graceEndsAt && latest.graceEndsAt * 1000 <= Date.now())) {
+    return false;
+  }
+
+  const unlocked = latest.outagePolicy === 'fail-open' ||
+    (latest.outagePolicy === 'fail-open-window' && (latest.iat + latest.outageHours * 3600) * 1000 > Date.now());
+
+  if (unlocked) {
+    applyLicenseClaims(latest);
+  }
+  return unlocked;
+}
+
+// Check license activation status
+async function checkLicenseStatus() {
+  // A cached result is used while it is fresh, so most page loads skip the network
+  const cachedClaims = await readCachedLicense();
+  if (cachedClaims) {
+    applyLicenseClaims(cachedClaims);
+    return true;
+  }
+  localStorage.removeItem(LICENSE_TOKEN_STORAGE_KEY);
+
+  // The license server failed recently; leave it alone until the backoff has passed
+  if (readBackoff().retryAt > Date.now()) {
+    return applyOutagePolicy();
+  }
+
+  try {
+    const params = new URLSearchParams({ domain: LICENSE_DOMAIN });
+    LICENSE_THEME_FIELDS.forEach((field) => params.append(field, LICENSE_THEME[field]));
+    const response = await fetch(LICENSE_API_URL + '/api/license/check?' + params.toString());
+
+    if (response.status === 429 || response.status >= 500) {
+      recordCheckFailure(parseInt(response.headers.get('Retry-After'), 10));
+      return applyOutagePolicy();
+    }
+
+    const data = await response.json();
+    const claims = data.success && data.activated && await verifyLicenseToken(data.token);
+    localStorage.removeItem(LICENSE_BACKOFF_STORAGE_KEY);
+
+    if (claims) {
+      // License is activated and signed by the license server, hide the overlay
+      localStorage.setItem(LICENSE_LAST_TOKEN_STORAGE_KEY, data.token);
+      cacheLicense(response, data.token, claims);
+      applyLicenseClaims(claims);
+      return true;
+    }
+
+    // The server says the theme is not licensed, so an outage must not unlock it with an older token
+    localStorage.removeItem(LICENSE_LAST_TOKEN_STORAGE_KEY);
+
+    if (data.status === 'expired') {
+      showLicenseExpired();
+    } else if (data.status === 'theme_mismatch') {
+      showThemeMismatch();
+    } else if (data.status === 'suspended') {
+      showStoreSuspended(data.error, data.installUrl);
+    }
+    return false;
+  } catch (error) {
+    console.error('License check failed:', error);
+    recordCheckFailure();
+    return applyOutagePolicy();
+  }
+}
+
+// Re-check while the theme is locked, e.g. until the license is activated in another tab
+function scheduleLicenseCheck() {
+  const delay = Math.max(LICENSE_CHECK_INTERVAL_MS, readBackoff().retryAt - Date.now());
+
+  setTimeout(function() {
+    checkLicenseStatus().then(function(activated) {
+      if (!activated) {
+        scheduleLicenseCheck();
+      }
+    });
+  }, delay);
+}
+
+// Check license status when page loads
+document.addEventListener('DOMContentLoaded', function() {
+  checkLicenseStatus().then(function(activated) {
+    if (!activated) {
+      scheduleLicenseCheck();
+    }
+  });
+});
+
+// Prevent right-click and common shortcuts when license is not activated
+document.addEventListener('contextmenu', function(e) {
+  e.preventDefault();
+});
+
+document.addEventListener('keydown', function(e) {
+  // Disable F12, Ctrl+Shift+I, Ctrl+Shift+C, Ctrl+U
+  if (e.keyCode === 123 ||
+      (e.ctrlKey && e.shiftKey && (e.keyCode === 73 || e.keyCode === 67)) ||
+      (e.ctrlKey && e.keyCode === 85)) {
+    e.preventDefault();
+  }
+});
@@ -0,0 +1,255 @@
+import prisma from "../db.server";
+import { refreshLicenseState } from "./license.server";
+
+// Shopify's mandatory privacy webhooks, as reported by authenticate.webhook()
+export const COMPLIANCE_TOPICS = {
+  CUSTOMERS_DATA_REQUEST: "CUSTOMERS_DATA_REQUEST",
+  CUSTOMERS_REDACT: "CUSTOMERS_REDACT",
+  SHOP_REDACT: "SHOP_REDACT"
+};
+
+export const COMPLIANCE_STATUS = {
+  RECEIVED: "received",
+  COMPLETED: "completed",
+  FAILED: "failed"
+};
+
+// Replaces erased domains where the record itself has to stay, e.g. transfer history
+const REDACTED = "redacted";
+
+// Keys of every license that was ever activated on a store
+async function findShopLicenseKeys(shop) {
+  const activations = await prisma.licenseActivation.findMany({
+    where: { domain: String(shop || "").toLowerCase() },
+    select: { licenseKey: true }
+  });
+  return [...new Set(activations.map((activation) => activation.licenseKey))];
+}
+
+// Licenses sold to a customer, matched by the email or order IDs in a privacy webhook. The
+// emails belong to theme buyers, not to the webhook shop's shoppers, so only licenses used
+// on that shop are matched; a shopper of another store may share the address.
+function customerLicenseWhere(licenseKeys, { customer, orderIds }) {
+  const conditions = [];
+
+  if (customer?.email) {
+    conditions.push({ customerEmail: { equals: customer.email, mode: "insensitive" } });
+  }
+  if (orderIds?.length > 0) {
+    conditions.push({ orderId: { in: orderIds.map(String) } });
+  }
+
+  return conditions.length > 0 && licenseKeys.length > 0
+    ? { licenseKey: { in: licenseKeys }, OR: conditions }
+    : null;
+}
+
+/**
+ * customers/data_request: everything stored about a customer's purchases,
+ * kept on the compliance record so it can be sent to the merchant.
+ */
+async function exportCustomerData(shop, payload) {
+  const where = customerLicenseWhere(await findShopLicenseKeys(shop), {
+    customer: payload.customer,
+    orderIds: payload.orders_requested
+  });
+
+  if (!where) {
+    return { summary: { licenses: 0, purchases: 0 }, data: { licenses: [], purchases: [] } };
+  }
+
+  const [licenses, purchases] = await Promise.all([
+    prisma.license.findMany({ where }),
+    prisma.purchasedKey.findMany({ where })
+  ]);
+  const activations = await prisma.licenseActivation.findMany({
+    where: { licenseKey: { in: licenses.map((license) => license.licenseKey) } }
+  });
+
+  const data = JSON.parse(JSON.stringify({
+    licenses: licenses.map((license) => ({
+      licenseKey: license.licenseKey,
+      orderId: license.orderId,
+      customerEmail: license.customerEmail,
+      productName: license.productName,
+      purchasedAt: license.purchasedAt,
+      createdAt: license.createdAt,
+      activations: activations
+        .filter((activation) => activation.licenseKey === license.licenseKey)
+        .map((activation) => ({
+          domain: activation.domain,
+          isActive: activation.isActive,
+          activatedAt: activation.activatedAt,
+          themeName: activation.themeName
+        }))
+    })),
+    purchases: purchases.map((purchase) => ({
+      licenseKey: purchase.licenseKey,
+      orderId: purchase.orderId,
+      customerEmail: purchase.customerEmail,
+      productName: purchase.productName,
+      purchasedAt: purchase.purchasedAt,
+      refundedAt: purchase.refundedAt
+    }))
+  }));
+
+  return { summary: { licenses: licenses.length, purchases: purchases.length }, data };
+}
+
+/**
+ * customers/redact: removes the customer's email from their licenses and purchases.
+ * The keys and order IDs stay, since they identify what was sold, not who bought it.
+ */
+async function redactCustomerData(shop, payload) {
+  const licenseKeys = await findShopLicenseKeys(shop);
+  const where = customerLicenseWhere(licenseKeys, { customer: payload.customer, orderIds: payload.orders_to_redact });
+
+  if (!where) {
+    return { summary: { licenses: 0, purchases: 0, portalLogins: 0 } };
+  }
+
+  const [licenses, purchases, portalLogins] = await Promise.all([
+    prisma.license.updateMany({ where, data: { customerEmail: null } }),
+    prisma.purchasedKey.updateMany({ where, data: { customerEmail: null } }),
+    // Pending license portal sign-in codes were sent to the same address
+    payload.customer?.email
+      ? prisma.portalLogin.deleteMany({
+        where: { licenseKey: { in: licenseKeys }, email: { equals: payload.customer.email, mode: "insensitive" } }
+      })
+      : { count: 0 }
+  ]);
+
+  return { summary: { licenses: licenses.count, purchases: purchases.count, portalLogins: portalLogins.count } };
+}
+
+// Replaces every occurrence of a domain inside an event snapshot
+function redactSnapshot(snapshot, domain) {
+  if (!snapshot) {
+    return snapshot;
+  }
+  return JSON.parse(JSON.stringify(snapshot).split(domain).join(REDACTED));
+}
+
+/**
+ * shop/redact: erases a store 48 hours after it uninstalled the app. Its sessions,
+ * activations and rate-limit counters are deleted, and the domain is removed from
+ * licenses, transfers and the audit trail, which are kept for the license owner.
+ */
+async function redactShopData(shop) {
+  const domain = String(shop || "").toLowerCase();
+  const activations = await prisma.licenseActivation.findMany({
+    where: { domain },
+    select: { licenseKey: true }
+  });
+  const licenseKeys = [...new Set(activations.map((activation) => activation.licenseKey))];
+
+  const sessions = await prisma.session.deleteMany({ where: { shop: domain } });
+  const deletedActivations = await prisma.licenseActivation.deleteMany({ where: { domain } });
+  const licenses = await prisma.license.updateMany({ where: { domain }, data: { domain: null } });
+
+  for (const licenseKey of licenseKeys) {
+    await refreshLicenseState(licenseKey);
+  }
+
+  await prisma.licenseTransfer.updateMany({ where: { fromDomain: domain }, data: { fromDomain: REDACTED } });
+  await prisma.licenseTransfer.updateMany({ where: { toDomain: domain }, data: { toDomain: REDACTED } });
+
+  const events = await prisma.licenseEvent.updateMany({
+    where: { domain },
+    data: { domain: REDACTED, ip: null, userAgent: null }
+  });
+
+  // Snapshots of the store's licenses list every domain they were active on
+  const snapshots = await prisma.licenseEvent.findMany({
+    where: { licenseKey: { in: licenseKeys } },
+    select: { id: true, before: true, after: true, message: true }
+  });
+
+  for (const event of snapshots) {
+    if (!JSON.stringify(event).includes(domain)) {
+      continue;
+    }
+
+    await prisma.licenseEvent.update({
+      where: { id: event.id },
+      data: {
+        before: redactSnapshot(event.before, domain) ?? undefined,
+        after: redactSnapshot(event.after, domain) ?? undefined,
+        message: event.message ? event.message.split(domain).join(REDACTED) : event.message
+      }
+    });
+  }
+
+  const rateLimits = await prisma.rateLimitBucket.deleteMany({
+    where: { key: { endsWith: `:${domain}` } }
+  });
+
+  return {
+    summary: {
+      sessions: sessions.count,
+      activations: deletedActivations.count,
+      licenses: licenses.count,
+      events: events.count,
+      rateLimits: rateLimits.count
+    }
+  };
+}
+
+const HANDLERS = {
+  [COMPLIANCE_TOPICS.CUSTOMERS_DATA_REQUEST]: exportCustomerData,
+  [COMPLIANCE_TOPICS.CUSTOMERS_REDACT]: redactCustomerData,
+  [COMPLIANCE_TOPICS.SHOP_REDACT]: redactShopData
+};
+
+/**
+ * Records a privacy webhook and carries it out. Every delivery is kept as a
+ * ComplianceRequest; a redelivery of an already completed webhook is not run again.
+ * Throws when the request could not be completed, so Shopify retries it.
+ */
+export async function processComplianceRequest({ topic, shop, webhookId, payload }) {
+  const handler = HANDLERS[topic];
+
+  if (!handler) {
+    throw new Error(`Unknown compliance topic "${topic}"`);
+  }
+
+  if (webhookId) {
+    const completed = await prisma.complianceRequest.findFirst({
+      where: { webhookId, status: COMPLIANCE_STATUS.COMPLETED }
+    });
+
+    if (completed) {
+      return completed;
+    }
+  }
+
+  const record = await prisma.complianceRequest.create({
+    data: {
+      webhookId: webhookId || null,
+      topic,
+      shop,
+      customerId: payload?.customer?.id ? String(payload.customer.id) : null,
+      dataRequestId: payload?.data_request?.id ? String(payload.data_request.id) : null
+    }
+  });
+
+  try {
+    const { summary, data } = await handler(shop, payload || {});
+
+    return await prisma.complianceRequest.update({
+      where: { id: record.id },
+      data: {
+        status: COMPLIANCE_STATUS.COMPLETED,
+        summary,
+        data: data ?? undefined,
+        completedAt: new Date()
+      }
+    });
+  } catch (error) {
+    await prisma.complianceRequest.update({
+      where: { id: record.id },
+      data: { status: COMPLIANCE_STATUS.FAILED, error: error.message }
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,29 @@
+import { refreshLicenseStates, retryMetafieldSyncs } from "./store-metafield.server";
+import { releaseSuspendedActivations } from "./store-uninstall.server";
+
+// Background jobs, run on a schedule through POST /api/jobs/run.
+// Every job is safe to run repeatedly and returns a summary of what it did.
+export const JOBS = {
+  "uninstall-policy": () => releaseSuspendedActivations(),
+  "metafield-sync": () => retryMetafieldSyncs(),
+  "license-state": () => refreshLicenseStates()
+};
+
+/**
+ * Runs jobs one after another. A failing job is logged and reported
+ * without stopping the others.
+ */
+export async function runJobs(names = Object.keys(JOBS)) {
+  const results = {};
+
+  for (const name of names) {
+    try {
+      results[name] = { success: true, ...(await JOBS[name]()) };
+    } catch (error) {
+      console.error(`Job ${name} error:`, error);
+      results[name] = { success: false, error: error.message };
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,274 @@
+import prisma from "../db.server";
+import { parseCsvRecords } from "../utils/csv";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  recordLicenseEvent,
+  snapshotLicense
+} from "./license-event.server";
+import { revokeLicense } from "./license.server";
+import { syncLicenseMetafields } from "./store-metafield.server";
+
+// A key source answers one question before a storefront activation:
+// was this license key actually sold, and is its order still valid?
+//
+// Every source implements:
+//   name: string
+//   verify(licenseKey) => Promise<{ valid: boolean, error?: string, purchase?: object }>
+//
+// Select the source with LICENSE_KEY_SOURCE (default "big-digital-downloads").
+
+export const BIG_DIGITAL_DOWNLOADS = "big-digital-downloads";
+
+// Column names used by BIG Digital Downloads exports, matched case-insensitively
+const COLUMN_ALIASES = {
+  licenseKey: ["license key", "license_key", "licensekey", "key", "license", "serial", "serial key"],
+  orderId: ["order id", "order_id", "orderid", "order", "order name", "order number"],
+  customerEmail: ["email", "customer email", "customer_email", "customeremail", "buyer email"],
+  productName: ["product", "product name", "product_name", "product title", "productname", "theme"],
+  maxActivations: ["seats", "max activations", "max_activations", "maxactivations", "activation limit", "domains"],
+  term: ["term", "license term", "license_term", "subscription", "plan"],
+  purchasedAt: ["purchase date", "purchased at", "purchased_at", "purchasedat", "created at", "created_at", "createdat", "date"],
+  status: ["status", "order status", "financial status", "financial_status"]
+};
+
+const bigDigitalDownloadsSource = {
+  name: BIG_DIGITAL_DOWNLOADS,
+
+  async verify(licenseKey) {
+    const purchase = await prisma.purchasedKey.findUnique({
+      where: { licenseKey }
+    });
+
+    if (!purchase) {
+      return {
+        valid: false,
+        error: "This license key was not issued by our store. Please check the key from your purchase email."
+      };
+    }
+
+    if (purchase.refundedAt) {
+      return {
+        valid: false,
+        error: "The order for this license key was refunded, so the key can no longer be activated."
+      };
+    }
+
+    return { valid: true, purchase };
+  }
+};
+
+// Accepts every key. Only meant for local development and stores that
+// have not imported their order history yet.
+const openSource = {
+  name: "open",
+
+  async verify() {
+    return { valid: true };
+  }
+};
+
+const keySources = {
+  [bigDigitalDownloadsSource.name]: bigDigitalDownloadsSource,
+  [openSource.name]: openSource
+};
+
+export function getKeySource() {
+  const name = process.env.LICENSE_KEY_SOURCE || BIG_DIGITAL_DOWNLOADS;
+  const source = keySources[name];
+
+  if (!source) {
+    throw new Error(`Unknown LICENSE_KEY_SOURCE "${name}"`);
+  }
+
+  return source;
+}
+
+export async function verifyPurchasedKey(licenseKey) {
+  return getKeySource().verify(licenseKey);
+}
+
+export const PURCHASE_FIELDS = Object.keys(COLUMN_ALIASES);
+
+/**
+ * Guesses which export column holds each purchase field from the column names.
+ * Returns { field: columnName } for the fields that were found.
+ */
+export function detectColumnMapping(columns) {
+  const mapping = {};
+
+  for (const field of PURCHASE_FIELDS) {
+    const column = columns.find((name) => COLUMN_ALIASES[field].includes(name.trim().toLowerCase()));
+    if (column !== undefined) {
+      mapping[field] = column;
+    }
+  }
+
+  return mapping;
+}
+
+// Reads a field through an explicit column mapping, falling back to the known aliases
+function pickColumn(record, field, mapping) {
+  if (mapping) {
+    return mapping[field] ? String(record[mapping[field]] ?? "").trim() : "";
+  }
+
+  const entry = Object.entries(record).find(([column]) =>
+    COLUMN_ALIASES[field].includes(column.trim().toLowerCase())
+  );
+  return entry ? String(entry[1] ?? "").trim() : "";
+}
+
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Maps export values such as "Yearly" or "1 month" onto license terms
+function normalizeTerm(value) {
+  const term = value.toLowerCase();
+
+  if (/year|annual/.test(term)) {
+    return "annual";
+  }
+  if (/month/.test(term)) {
+    return "monthly";
+  }
+  if (/life|perpetual/.test(term)) {
+    return "lifetime";
+  }
+  return null;
+}
+
+/**
+ * Normalizes one BIG Digital Downloads export row or webhook record.
+ * Columns are matched by name unless a { field: columnName } mapping is given.
+ * Returns null when the row has no license key.
+ */
+export function normalizePurchaseRecord(record, mapping) {
+  const licenseKey = pickColumn(record, "licenseKey", mapping);
+  if (!licenseKey) {
+    return null;
+  }
+
+  const status = pickColumn(record, "status", mapping).toLowerCase();
+  const maxActivations = parseInt(pickColumn(record, "maxActivations", mapping), 10);
+  const term = normalizeTerm(pickColumn(record, "term", mapping));
+  const refunded = status.includes("refund") || status.includes("cancel") || Boolean(record.refunded);
+
+  return {
+    licenseKey,
+    orderId: pickColumn(record, "orderId", mapping) || null,
+    customerEmail: pickColumn(record, "customerEmail", mapping).toLowerCase() || null,
+    productName: pickColumn(record, "productName", mapping) || null,
+    maxActivations: maxActivations > 0 ? maxActivations : null,
+    term,
+    purchasedAt: parseDate(pickColumn(record, "purchasedAt", mapping)),
+    refundedAt: refunded ? parseDate(record.refundedAt) || new Date() : null
+  };
+}
+
+const isObjectRow = (row) => row !== null && typeof row === "object" && !Array.isArray(row);
+
+/**
+ * Reads the raw rows of a CSV or JSON export as objects keyed by column name.
+ * JSON entries that are not objects (null, numbers, strings, arrays) have no
+ * columns to read; they are left out and counted as skipped.
+ * Returns { rows, skipped }.
+ */
+export function readExportRows(text, format) {
+  if (format === "json") {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed?.licenses || parsed?.orders || [parsed];
+    const entries = Array.isArray(list) ? list : [list];
+    const rows = entries.filter(isObjectRow);
+
+    return { rows, skipped: entries.length - rows.length };
+  }
+
+  return { rows: parseCsvRecords(text), skipped: 0 };
+}
+
+/**
+ * Parses a BIG Digital Downloads export (CSV or JSON) into purchase records.
+ * Returns { records, skipped }, counting rows that are not objects or have no license key.
+ */
+export function parsePurchaseExport(text, format) {
+  const { rows, skipped } = readExportRows(text, format);
+  const records = rows.map((record) => normalizePurchaseRecord(record)).filter(Boolean);
+
+  return { records, skipped: skipped + rows.length - records.length };
+}
+
+/**
+ * Stores purchase records, updating keys that were already imported. A refund is
+ * never undone: re-importing an older export or replaying a webhook keeps the
+ * refundedAt the refund webhook set.
+ */
+export async function savePurchaseRecords(records, source = BIG_DIGITAL_DOWNLOADS) {
+  let saved = 0;
+
+  for (const { licenseKey, refundedAt, ...data } of records) {
+    await prisma.purchasedKey.upsert({
+      where: { licenseKey },
+      update: { ...data, ...(refundedAt ? { refundedAt } : {}), source },
+      create: { licenseKey, ...data, refundedAt, source }
+    });
+    saved++;
+  }
+
+  return saved;
+}
+
+/**
+ * Marks every key of an order as refunded. Returns the order's license keys.
+ */
+export async function markOrderRefunded(orderId) {
+  const keys = await prisma.purchasedKey.findMany({
+    where: { orderId },
+    select: { licenseKey: true }
+  });
+
+  await prisma.purchasedKey.updateMany({
+    where: { orderId, refundedAt: null },
+    data: { refundedAt: new Date() }
+  });
+
+  return keys.map((key) => key.licenseKey);
+}
+
+/**
+ * Switches off every activation of refunded keys, updates their stores'
+ * metafields and records a revoke event for each key that was live.
+ * Returns the number of keys revoked.
+ */
+export async function revokeRefundedKeys(licenseKeys, { orderId, request } = {}) {
+  let revoked = 0;
+
+  for (const licenseKey of new Set(licenseKeys)) {
+    const before = await snapshotLicense(licenseKey);
+    const count = await revokeLicense(licenseKey);
+
+    if (count === 0) {
+      continue;
+    }
+
+    await syncLicenseMetafields(licenseKey);
+    await recordLicenseEvent({
+      type: EVENT_TYPES.REVOKE,
+      licenseKey,
+      actorType: ACTOR_TYPES.SYSTEM,
+      actor: "BIG Digital Downloads webhook",
+      request,
+      before,
+      after: await snapshotLicense(licenseKey),
+      message: orderId ? `Order ${orderId} was refunded` : "Order was refunded"
+    });
+    revoked += 1;
+  }
+
+  return revoked;
+}
@@ -0,0 +1,130 @@
+import prisma from "../db.server";
+import { EVENT_TYPES, snapshotLicense } from "./license-event.server";
+import {
+  activateDomain,
+  describeSeatLimit,
+  revokeLicense,
+  trashLicense
+} from "./license.server";
+import { detectStoreEnvironment } from "./store-environment.server";
+import { describeMetafieldSync, syncLicenseMetafields } from "./store-metafield.server";
+
+export const BULK_OPERATIONS = ["revoke", "reactivate", "delete", "tag", "untag"];
+
+const MAX_TAG_LENGTH = 40;
+
+// Operations that change where a license is live, so the stores' metafields need updating
+const METAFIELD_OPERATIONS = ["revoke", "reactivate", "delete"];
+
+/**
+ * Trimmed tag, or null if it is empty or too long.
+ */
+export function normalizeTag(value) {
+  const tag = String(value || "").trim();
+  return tag && tag.length <= MAX_TAG_LENGTH ? tag : null;
+}
+
+// Each operation returns the audit event to record, or { error } when the row was skipped
+
+const operations = {
+  async revoke(license) {
+    const count = await revokeLicense(license.licenseKey);
+
+    if (count === 0) {
+      return { error: "Not active on any store" };
+    }
+
+    return { type: EVENT_TYPES.REVOKE };
+  },
+
+  async reactivate(license) {
+    if (!license.domain) {
+      return { error: "Never activated, so there is no domain to reactivate" };
+    }
+
+    const environment = await detectStoreEnvironment(license.domain);
+    const { activation, seats } = await activateDomain(license, license.domain, { environment });
+
+    if (!activation) {
+      return { error: describeSeatLimit(seats) };
+    }
+
+    return { type: EVENT_TYPES.REACTIVATE, domain: license.domain };
+  },
+
+  async delete(license) {
+    await trashLicense(license.licenseKey);
+    return { type: EVENT_TYPES.DELETE };
+  },
+
+  async tag(license, { tag }) {
+    const tags = license.tags || [];
+
+    if (tags.includes(tag)) {
+      return { error: `Already tagged "${tag}"` };
+    }
+
+    await prisma.license.update({
+      where: { licenseKey: license.licenseKey },
+      data: { tags: { set: [...tags, tag] } }
+    });
+    return { type: EVENT_TYPES.UPDATE, message: `Tagged "${tag}"` };
+  },
+
+  async untag(license, { tag }) {
+    const tags = license.tags || [];
+
+    if (!tags.includes(tag)) {
+      return { error: `Not tagged "${tag}"` };
+    }
+
+    await prisma.license.update({
+      where: { licenseKey: license.licenseKey },
+      data: { tags: { set: tags.filter((item) => item !== tag) } }
+    });
+    return { type: EVENT_TYPES.UPDATE, message: `Removed tag "${tag}"` };
+  }
+};
+
+/**
+ * Runs one operation on many licenses. Rows are processed independently, so
+ * one failure never stops the rest; `audit(event)` records each change.
+ * Returns [{ licenseKey, success, error, warning }] in the order the keys were given.
+ */
+export async function runBulkOperation({ operation, licenseKeys, tag, audit }) {
+  const results = [];
+
+  for (const licenseKey of new Set(licenseKeys)) {
+    try {
+      const license = await prisma.license.findUnique({
+        where: { licenseKey }
+      });
+
+      // Trashed licenses behave as if they were deleted
+      if (!license || license.deletedAt) {
+        results.push({ licenseKey, success: false, error: "Invalid license key" });
+        continue;
+      }
+
+      const before = await snapshotLicense(licenseKey);
+      const { error, ...event } = await operations[operation](license, { tag });
+
+      if (error) {
+        results.push({ licenseKey, success: false, error });
+        continue;
+      }
+
+      await audit({ licenseKey, before, after: await snapshotLicense(licenseKey), ...event });
+
+      const warning = METAFIELD_OPERATIONS.includes(operation)
+        ? describeMetafieldSync(await syncLicenseMetafields(licenseKey))
+        : null;
+      results.push({ licenseKey, success: true, warning });
+    } catch (error) {
+      console.error(`Bulk ${operation} error for ${licenseKey}:`, error);
+      results.push({ licenseKey, success: false, error: "Internal server error" });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,184 @@
+import prisma from "../db.server";
+import { getClientIp } from "../utils/request";
+import { LICENSE_DEFAULTS } from "./license.server";
+import { PRODUCTION } from "./store-environment.server";
+
+// Event types recorded in the license audit trail
+export const EVENT_TYPES = {
+  CREATE: "create",
+  ACTIVATE: "activate",
+  ACTIVATE_FAILED: "activate_failed",
+  REVOKE: "revoke",
+  REACTIVATE: "reactivate",
+  UPDATE: "update",
+  DELETE: "delete",
+  RESTORE: "restore",
+  PURGE: "purge",
+  TRANSFER: "transfer",
+  CHECK_FAILED: "check_failed",
+  THEME_MISMATCH: "theme_mismatch",
+  THEME_CHANGE: "theme_change",
+  SUSPEND: "suspend",
+  RESUME: "resume",
+  RELEASE: "release"
+};
+
+// Who triggered the event
+export const ACTOR_TYPES = {
+  ADMIN: "admin",
+  STOREFRONT: "storefront",
+  API: "api",
+  CUSTOMER: "customer",
+  SYSTEM: "system"
+};
+
+/**
+ * Describes the admin user behind an authenticate.admin() result,
+ * e.g. "jane@example.com (my-store.myshopify.com)".
+ */
+export function describeAdminActor({ session, sessionToken } = {}) {
+  const user = session?.onlineAccessInfo?.associated_user;
+  const name = user?.email || (sessionToken?.sub ? `user ${sessionToken.sub}` : "admin");
+
+  return session?.shop ? `${name} (${session.shop})` : name;
+}
+
+/**
+ * Current state of a license and its activations, stored as before/after snapshots.
+ */
+export async function snapshotLicense(licenseKey) {
+  const [license, activations] = await Promise.all([
+    prisma.license.findUnique({ where: { licenseKey } }),
+    prisma.licenseActivation.findMany({ where: { licenseKey } })
+  ]);
+
+  if (!license && activations.length === 0) {
+    return null;
+  }
+
+  // Round-trip through JSON so dates are stored as ISO strings
+  return JSON.parse(JSON.stringify({
+    license: license && {
+      domain: license.domain,
+      isActive: license.isActive,
+      maxActivations: license.maxActivations ?? LICENSE_DEFAULTS.maxActivations,
+      term: license.term ?? LICENSE_DEFAULTS.term,
+      expiresAt: license.expiresAt,
+      graceDays: license.graceDays ?? LICENSE_DEFAULTS.graceDays,
+      deletedAt: license.deletedAt,
+      themeFamily: license.themeFamily,
+      tags: license.tags ?? [],
+      outagePolicy: license.outagePolicy,
+      outageHours: license.outageHours
+    },
+    activations: activations.map((activation) => ({
+      domain: activation.domain,
+      isActive: activation.isActive,
+      environment: activation.environment ?? PRODUCTION,
+      themeId: activation.themeId,
+      themeName: activation.themeName,
+      themeVersion: activation.themeVersion,
+      suspendedAt: activation.suspendedAt,
+      themeWarning: activation.themeWarning
+    }))
+  }));
+}
+
+/**
+ * Appends an event to the audit trail. Failures are logged and never
+ * interrupt the operation being audited.
+ */
+export async function recordLicenseEvent({
+  type,
+  licenseKey,
+  domain,
+  actorType,
+  actor,
+  request,
+  before,
+  after,
+  message
+}) {
+  try {
+    await prisma.licenseEvent.create({
+      data: {
+        type,
+        licenseKey: licenseKey || null,
+        domain: domain || null,
+        actorType,
+        actor: actor || null,
+        ip: request ? getClientIp(request) : null,
+        userAgent: request?.headers.get("User-Agent") || null,
+        before: before ?? undefined,
+        after: after ?? undefined,
+        message: message || null
+      }
+    });
+  } catch (error) {
+    console.error("License event recording error:", error);
+  }
+}
+
+/**
+ * Appends many events in one write, e.g. for an import. Like recordLicenseEvent,
+ * failures are logged and never interrupt the operation being audited.
+ */
+export async function recordLicenseEvents(events, { actorType, actor, request } = {}) {
+  try {
+    await prisma.licenseEvent.createMany({
+      data: events.map((event) => ({
+        type: event.type,
+        licenseKey: event.licenseKey || null,
+        domain: event.domain || null,
+        actorType,
+        actor: actor || null,
+        ip: request ? getClientIp(request) : null,
+        userAgent: request?.headers.get("User-Agent") || null,
+        before: event.before ?? undefined,
+        after: event.after ?? undefined,
+        message: event.message || null
+      }))
+    });
+  } catch (error) {
+    console.error("License event recording error:", error);
+  }
+}
+
+/**
+ * Records a failed storefront license check. Themes re-check on every page
+ * load, so at most one failure per license and domain is kept per hour.
+ */
+export async function recordCheckFailure({ licenseKey, domain, request, message }) {
+  const recent = await prisma.licenseEvent.findFirst({
+    where: {
+      type: EVENT_TYPES.CHECK_FAILED,
+      licenseKey,
+      domain,
+      createdAt: { gte: new Date(Date.now() - 60 * 60 * 1000) }
+    }
+  });
+
+  if (recent) {
+    return;
+  }
+
+  await recordLicenseEvent({
+    type: EVENT_TYPES.CHECK_FAILED,
+    licenseKey,
+    domain,
+    actorType: ACTOR_TYPES.STOREFRONT,
+    request,
+    message
+  });
+}
+
+/**
+ * Audit trail for a license, newest first.
+ */
+export async function getLicenseEvents(licenseKey, { take = 200 } = {}) {
+  return prisma.licenseEvent.findMany({
+    where: { licenseKey },
+    orderBy: { createdAt: "desc" },
+    take
+  });
+}
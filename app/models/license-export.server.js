@@ -0,0 +1,243 @@
+import prisma from "../db.server";
+import { stringifyCsv } from "../utils/csv";
+import {
+  buildActivationWhere,
+  buildLicenseWhere,
+  buildOrderBy,
+  findPage
+} from "./license-query.server";
+import { getLicenseStatus, withLicenseDefaults } from "./license.server";
+import { PRODUCTION } from "./store-environment.server";
+
+export const EXPORT_FORMATS = ["csv", "json"];
+
+// Records read from the database per round trip while streaming
+const BATCH_SIZE = 200;
+
+const iso = (date) => (date ? new Date(date).toISOString() : null);
+
+function licenseFields(license) {
+  return {
+    licenseKey: license.licenseKey,
+    isActive: license.isActive,
+    status: getLicenseStatus(license).status,
+    domain: license.domain ?? null,
+    term: license.term,
+    maxActivations: license.maxActivations,
+    expiresAt: iso(license.expiresAt),
+    graceDays: license.graceDays,
+    themeFamily: license.themeFamily ?? null,
+    tags: license.tags ?? [],
+    outagePolicy: license.outagePolicy ?? null,
+    outageHours: license.outageHours ?? null,
+    orderId: license.orderId ?? null,
+    customerEmail: license.customerEmail ?? null,
+    productName: license.productName ?? null,
+    purchasedAt: iso(license.purchasedAt),
+    activatedAt: iso(license.activatedAt),
+    createdAt: iso(license.createdAt),
+    updatedAt: iso(license.updatedAt),
+    deletedAt: iso(license.deletedAt)
+  };
+}
+
+function activationFields(activation) {
+  return {
+    domain: activation.domain,
+    isActive: activation.isActive,
+    environment: activation.environment ?? PRODUCTION,
+    activatedAt: iso(activation.activatedAt),
+    themeId: activation.themeId ?? null,
+    themeName: activation.themeName ?? null,
+    themeFamily: activation.themeFamily ?? null,
+    themeVersion: activation.themeVersion ?? null,
+    themeMismatch: activation.themeMismatch ?? null,
+    themeMismatchAt: iso(activation.themeMismatchAt),
+    suspendedAt: iso(activation.suspendedAt),
+    themeWarning: activation.themeWarning ?? null,
+    appEmbed: activation.appEmbed ?? null
+  };
+}
+
+// Audit trail entries without the before/after snapshots, which repeat the license
+// fields, or the IP and user agent of whoever triggered them
+const EVENT_FIELDS = { licenseKey: true, domain: true, type: true, actorType: true, actor: true, message: true, createdAt: true };
+
+const TRANSFER_FIELDS = { licenseKey: true, fromDomain: true, toDomain: true, actorType: true, actor: true, createdAt: true };
+
+function historyFields({ licenseKey, createdAt, ...entry }) {
+  return { ...entry, createdAt: iso(createdAt) };
+}
+
+// One CSV row per activation; licenses without activations get a row with the activation columns empty
+const CSV_COLUMNS = [
+  ["License key", (license, activation) => license?.licenseKey ?? activation?.licenseKey],
+  ["License active", (license) => license?.isActive],
+  ["License status", (license) => license && getLicenseStatus(license).status],
+  ["Term", (license) => license?.term],
+  ["Seats", (license) => license?.maxActivations],
+  ["Expires at", (license) => iso(license?.expiresAt)],
+  ["Theme family", (license) => license?.themeFamily],
+  ["Tags", (license) => license?.tags?.join(" ")],
+  ["Outage policy", (license) => license?.outagePolicy],
+  ["Outage hours", (license) => license?.outageHours],
+  ["Order ID", (license) => license?.orderId],
+  ["Customer email", (license) => license?.customerEmail],
+  ["Product", (license) => license?.productName],
+  ["Purchased at", (license) => iso(license?.purchasedAt)],
+  ["Created at", (license) => iso(license?.createdAt)],
+  ["Deleted at", (license) => iso(license?.deletedAt)],
+  ["Domain", (license, activation) => activation?.domain],
+  ["Activation active", (license, activation) => activation?.isActive],
+  ["Environment", (license, activation) => activation && (activation.environment ?? PRODUCTION)],
+  ["Activated at", (license, activation) => iso(activation?.activatedAt)],
+  ["Theme ID", (license, activation) => activation?.themeId],
+  ["Theme name", (license, activation) => activation?.themeName],
+  ["Theme version", (license, activation) => activation?.themeVersion],
+  ["Theme mismatch", (license, activation) => activation?.themeMismatch],
+  ["Suspended at", (license, activation) => iso(activation?.suspendedAt)],
+  ["Theme warning", (license, activation) => activation?.themeWarning],
+  ["App embed", (license, activation) => activation?.appEmbed]
+];
+
+// Walks every record matching a filter in the query's sort order, one page at a time
+async function* findInBatches(model, { where, orderBy }) {
+  let after = "";
+
+  do {
+    const page = await findPage(model, { where, orderBy, after, pageSize: BATCH_SIZE });
+
+    if (page.items.length > 0) {
+      yield page.items;
+    }
+
+    after = page.hasNext ? page.items[page.items.length - 1].id : "";
+  } while (after);
+}
+
+// Batches of { license, activations } for the licenses and trash views,
+// with every activation of each license, oldest first. With `history`, each
+// entry also has the license's audit trail and transfers, oldest first.
+async function* licenseEntries(query, { history = false } = {}) {
+  const where = await buildLicenseWhere(query);
+
+  for await (const licenses of findInBatches(prisma.license, { where, orderBy: buildOrderBy(query) })) {
+    const licenseKeys = { in: licenses.map((license) => license.licenseKey) };
+    const [activations, events, transfers] = await Promise.all([
+      prisma.licenseActivation.findMany({ where: { licenseKey: licenseKeys }, orderBy: { activatedAt: "asc" } }),
+      history
+        ? prisma.licenseEvent.findMany({ where: { licenseKey: licenseKeys }, select: EVENT_FIELDS, orderBy: { createdAt: "asc" } })
+        : [],
+      history
+        ? prisma.licenseTransfer.findMany({ where: { licenseKey: licenseKeys }, select: TRANSFER_FIELDS, orderBy: { createdAt: "asc" } })
+        : []
+    ]);
+    const ofLicense = (records, license) => records.filter((record) => record.licenseKey === license.licenseKey);
+
+    yield licenses.map((license) => ({
+      license: withLicenseDefaults(license),
+      activations: ofLicense(activations, license),
+      ...(history ? { events: ofLicense(events, license), transfers: ofLicense(transfers, license) } : {})
+    }));
+  }
+}
+
+// Batches of { license, activations: [activation] } for the activations view
+async function* activationEntries(query) {
+  const where = buildActivationWhere(query);
+
+  for await (const activations of findInBatches(prisma.licenseActivation, { where, orderBy: buildOrderBy(query) })) {
+    const licenses = await prisma.license.findMany({
+      where: { licenseKey: { in: [...new Set(activations.map((activation) => activation.licenseKey))] } }
+    });
+    const licensesByKey = new Map(licenses.map((license) => [license.licenseKey, withLicenseDefaults(license)]));
+
+    yield activations.map((activation) => ({
+      license: licensesByKey.get(activation.licenseKey) || null,
+      activations: [activation]
+    }));
+  }
+}
+
+function toCsvRows({ license, activations }) {
+  return (activations.length > 0 ? activations : [null]).map((activation) =>
+    CSV_COLUMNS.map(([, value]) => value(license, activation))
+  );
+}
+
+// Licenses carry their activations; in the activations view each activation carries its license
+function toJson({ license, activations, events, transfers }, view) {
+  if (view === "activations") {
+    const [activation] = activations;
+    return {
+      licenseKey: activation.licenseKey,
+      ...activationFields(activation),
+      license: license ? licenseFields(license) : null
+    };
+  }
+
+  return {
+    ...licenseFields(license),
+    activations: activations.map(activationFields),
+    events: events.map(historyFields),
+    transfers: transfers.map(historyFields)
+  };
+}
+
+// The license history only goes into JSON: it does not fit CSV's row per activation
+async function* exportChunks(query, format) {
+  const entries = query.view === "activations"
+    ? activationEntries(query)
+    : licenseEntries(query, { history: format === "json" });
+
+  if (format === "csv") {
+    yield stringifyCsv([CSV_COLUMNS.map(([heading]) => heading)]);
+
+    for await (const batch of entries) {
+      yield stringifyCsv(batch.flatMap(toCsvRows));
+    }
+    return;
+  }
+
+  // A JSON array written one element per line, without a trailing comma
+  let separator = "\n";
+  yield "[";
+
+  for await (const batch of entries) {
+    yield separator + batch.map((entry) => JSON.stringify(toJson(entry, query.view))).join(",\n");
+    separator = ",\n";
+  }
+
+  yield "\n]\n";
+}
+
+/**
+ * Streams every license (or activation, in the activations view) matching a
+ * parsed dashboard query as CSV or JSON. Records are read in batches as the
+ * client consumes the stream, so large collections are never held in memory.
+ */
+export function createLicenseExportStream(query, format) {
+  const encoder = new TextEncoder();
+  const chunks = exportChunks(query, format);
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      } catch (error) {
+        console.error("License export error:", error);
+        controller.error(error);
+      }
+    },
+
+    async cancel() {
+      await chunks.return();
+    }
+  });
+}
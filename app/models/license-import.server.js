@@ -0,0 +1,183 @@
+import prisma from "../db.server";
+import {
+  PURCHASE_FIELDS,
+  detectColumnMapping,
+  normalizePurchaseRecord,
+  savePurchaseRecords
+} from "./key-source.server";
+import { EVENT_TYPES, recordLicenseEvents } from "./license-event.server";
+import { normalizeThemeFamily } from "./theme-fingerprint.server";
+
+// Row outcomes shown in the preview and the error report
+export const IMPORT_ROW_STATUS = {
+  NEW: "new",
+  EXISTING: "existing",
+  DUPLICATE: "duplicate",
+  REFUNDED: "refunded",
+  INVALID: "invalid"
+};
+
+const MAX_KEY_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Detects CSV or JSON from the file name, unless a format was chosen.
+ */
+export function detectImportFormat(fileName, format) {
+  if (format === "csv" || format === "json") {
+    return format;
+  }
+  return /\.json$/i.test(fileName || "") ? "json" : "csv";
+}
+
+/**
+ * Reads a { field: columnName } mapping from form fields named "mapping.<field>".
+ * Returns null when the form has none, so columns are detected from their names.
+ */
+export function readColumnMapping(formData) {
+  if (![...formData.keys()].some((name) => name.startsWith("mapping."))) {
+    return null;
+  }
+
+  return Object.fromEntries(
+    PURCHASE_FIELDS.map((field) => [field, formData.get(`mapping.${field}`) || ""]).filter(([, column]) => column)
+  );
+}
+
+// Problems that stop a row from being imported, as a message, or null
+function validateRow(record, raw, mapping) {
+  if (!record) {
+    return "Missing license key";
+  }
+  if (/\s/.test(record.licenseKey) || record.licenseKey.length > MAX_KEY_LENGTH) {
+    return "License key must be a single word of at most 100 characters";
+  }
+  if (record.customerEmail && !EMAIL_PATTERN.test(record.customerEmail)) {
+    return `Invalid customer email "${record.customerEmail}"`;
+  }
+  if (mapping.purchasedAt && raw[mapping.purchasedAt] && !record.purchasedAt) {
+    return `Invalid purchase date "${raw[mapping.purchasedAt]}"`;
+  }
+  return null;
+}
+
+/**
+ * Validates and dedupes the rows of an export (see readExportRows) without writing anything.
+ * Every row is classified as new, existing (already a License), duplicate
+ * (repeats an earlier row of the file), refunded (a refunded order of a key that
+ * is already a License or purchase record) or invalid. Refunded orders of
+ * unknown keys are invalid, since there is nothing to record the refund on.
+ */
+export async function prepareLicenseImport(rawRows, mapping) {
+  const columns = [...new Set(rawRows.flatMap((row) => Object.keys(row)))];
+  const columnMapping = mapping || detectColumnMapping(columns);
+
+  const rows = rawRows.map((raw, index) => {
+    const record = normalizePurchaseRecord(raw, columnMapping);
+    const error = validateRow(record, raw, columnMapping);
+
+    return {
+      row: index + 1,
+      record,
+      status: error ? IMPORT_ROW_STATUS.INVALID : IMPORT_ROW_STATUS.NEW,
+      error
+    };
+  });
+
+  const keys = rows.filter((row) => row.status === IMPORT_ROW_STATUS.NEW).map((row) => row.record.licenseKey);
+  const existing = await prisma.license.findMany({
+    where: { licenseKey: { in: keys } },
+    select: { licenseKey: true }
+  });
+  const purchased = await prisma.purchasedKey.findMany({
+    where: { licenseKey: { in: keys } },
+    select: { licenseKey: true }
+  });
+  const existingKeys = new Set(existing.map((license) => license.licenseKey));
+  const knownKeys = new Set([...existingKeys, ...purchased.map((key) => key.licenseKey)]);
+  const firstRowForKey = new Map();
+
+  for (const row of rows) {
+    if (row.status !== IMPORT_ROW_STATUS.NEW) {
+      continue;
+    }
+
+    const { licenseKey } = row.record;
+
+    if (firstRowForKey.has(licenseKey)) {
+      row.status = IMPORT_ROW_STATUS.DUPLICATE;
+      row.error = `Duplicate of row ${firstRowForKey.get(licenseKey)}`;
+    } else if (row.record.refundedAt) {
+      row.status = knownKeys.has(licenseKey) ? IMPORT_ROW_STATUS.REFUNDED : IMPORT_ROW_STATUS.INVALID;
+      row.error = "Order was refunded";
+      firstRowForKey.set(licenseKey, row.row);
+    } else if (existingKeys.has(licenseKey)) {
+      row.status = IMPORT_ROW_STATUS.EXISTING;
+      row.error = "Already imported";
+      firstRowForKey.set(licenseKey, row.row);
+    } else {
+      firstRowForKey.set(licenseKey, row.row);
+    }
+  }
+
+  const summary = Object.fromEntries(
+    Object.values(IMPORT_ROW_STATUS).map((status) => [status, rows.filter((row) => row.status === status).length])
+  );
+
+  return { columns, mapping: columnMapping, rows, summary };
+}
+
+/**
+ * Creates License records for the new rows of a prepared import in one batch.
+ * Purchase records are saved for new, existing and refunded keys, so storefront
+ * verification also knows about them and rejects refunded keys.
+ */
+export async function importLicenses(prepared, { actorType, actor, request } = {}) {
+  const newRows = prepared.rows.filter((row) => row.status === IMPORT_ROW_STATUS.NEW);
+  const refundedRows = prepared.rows.filter((row) => row.status === IMPORT_ROW_STATUS.REFUNDED);
+  const purchaseRows = prepared.rows.filter((row) =>
+    row.status === IMPORT_ROW_STATUS.NEW ||
+    row.status === IMPORT_ROW_STATUS.EXISTING ||
+    row.status === IMPORT_ROW_STATUS.REFUNDED
+  );
+
+  if (newRows.length > 0) {
+    await prisma.license.createMany({
+      data: newRows.map(({ record }) => ({
+        licenseKey: record.licenseKey,
+        maxActivations: record.maxActivations ?? 1,
+        term: record.term ?? "lifetime",
+        themeFamily: normalizeThemeFamily(record.productName),
+        orderId: record.orderId,
+        customerEmail: record.customerEmail,
+        productName: record.productName,
+        purchasedAt: record.purchasedAt
+      }))
+    });
+
+    await recordLicenseEvents(
+      newRows.map(({ record }) => ({
+        type: EVENT_TYPES.CREATE,
+        licenseKey: record.licenseKey,
+        message: `Imported${record.orderId ? ` from order ${record.orderId}` : ""}`
+      })),
+      { actorType, actor, request }
+    );
+  }
+
+  await savePurchaseRecords(purchaseRows.map((row) => row.record));
+
+  return {
+    imported: newRows.length,
+    refunded: refundedRows.length,
+    skipped: prepared.rows.length - newRows.length - refundedRows.length,
+    errors: prepared.rows
+      .filter((row) => row.status !== IMPORT_ROW_STATUS.NEW)
+      .map((row) => ({
+        row: row.row,
+        licenseKey: row.record?.licenseKey || "",
+        status: row.status,
+        error: row.error
+      }))
+  };
+}
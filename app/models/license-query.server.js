@@ -0,0 +1,244 @@
+import prisma from "../db.server";
+import { inTrash, notDeleted } from "./license.server";
+
+export const PAGE_SIZE = 50;
+
+export const DASHBOARD_VIEWS = ["licenses", "activations", "trash"];
+
+// Statuses the dashboard can filter by. "expired" includes licenses still in their grace period.
+export const LICENSE_STATUS_FILTERS = ["active", "inactive", "expiring", "expired"];
+export const ACTIVATION_STATUS_FILTERS = ["active", "inactive", "mismatch", "suspended", "theme_warning", "embed_off"];
+
+// Columns each view can be sorted by, and the default sort
+const SORTS = {
+  licenses: {
+    fields: ["licenseKey", "domain", "createdAt", "activatedAt", "expiresAt"],
+    default: "createdAt"
+  },
+  trash: {
+    fields: ["licenseKey", "domain", "createdAt", "deletedAt"],
+    default: "deletedAt"
+  },
+  activations: {
+    fields: ["licenseKey", "domain", "activatedAt"],
+    default: "activatedAt"
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRING_WITHIN_DAYS = 30;
+
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Reads the dashboard's search, filter, sort and pagination params from a URL.
+ * Unknown values fall back to defaults so shared links never break the page.
+ */
+export function parseLicenseQuery(searchParams) {
+  const view = DASHBOARD_VIEWS.includes(searchParams.get("view")) ? searchParams.get("view") : "licenses";
+  const statuses = view === "activations" ? ACTIVATION_STATUS_FILTERS : LICENSE_STATUS_FILTERS;
+  const sorts = SORTS[view];
+  const status = searchParams.get("status");
+  const sort = searchParams.get("sort");
+
+  return {
+    view,
+    q: (searchParams.get("q") || "").trim(),
+    status: statuses.includes(status) && view !== "trash" ? status : "",
+    from: searchParams.get("from") || "",
+    to: searchParams.get("to") || "",
+    theme: (searchParams.get("theme") || "").trim(),
+    tag: view === "activations" ? "" : (searchParams.get("tag") || "").trim(),
+    sort: sorts.fields.includes(sort) ? sort : sorts.default,
+    direction: searchParams.get("direction") === "asc" ? "asc" : "desc",
+    after: searchParams.get("after") || "",
+    before: searchParams.get("before") || ""
+  };
+}
+
+const contains = (value) => ({ contains: value, mode: "insensitive" });
+
+// createdAt/activatedAt range; "to" includes the whole day
+function dateRange(query) {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+
+  if (!from && !to) {
+    return null;
+  }
+
+  return {
+    ...(from ? { gte: from } : {}),
+    ...(to ? { lt: new Date(to.getTime() + DAY_MS) } : {})
+  };
+}
+
+// License keys with an activation matching a filter, for license filters that look at stores.
+// Each key is read once however many of its activations match.
+async function licenseKeysWithActivations(where) {
+  const activations = await prisma.licenseActivation.findMany({
+    where,
+    select: { licenseKey: true },
+    distinct: ["licenseKey"]
+  });
+
+  return activations.map((activation) => activation.licenseKey);
+}
+
+/**
+ * Prisma filter for licenses matching a parsed dashboard query.
+ */
+export async function buildLicenseWhere(query, now = new Date()) {
+  const conditions = [query.view === "trash" ? inTrash : notDeleted];
+
+  if (query.q) {
+    conditions.push({
+      OR: [
+        { licenseKey: contains(query.q) },
+        { domain: contains(query.q) },
+        { licenseKey: { in: await licenseKeysWithActivations({ domain: contains(query.q) }) } }
+      ]
+    });
+  }
+
+  if (query.status === "active") {
+    conditions.push({ isActive: true });
+  } else if (query.status === "inactive") {
+    conditions.push({ isActive: false });
+  } else if (query.status === "expiring") {
+    conditions.push({ expiresAt: { gte: now, lt: new Date(now.getTime() + EXPIRING_WITHIN_DAYS * DAY_MS) } });
+  } else if (query.status === "expired") {
+    conditions.push({ expiresAt: { lt: now } });
+  }
+
+  if (query.tag) {
+    conditions.push({ tags: { has: query.tag } });
+  }
+
+  const createdAt = dateRange(query);
+  if (createdAt) {
+    conditions.push({ createdAt });
+  }
+
+  if (query.theme) {
+    conditions.push({
+      OR: [
+        { themeFamily: contains(query.theme) },
+        {
+          licenseKey: {
+            in: await licenseKeysWithActivations({
+              OR: [{ themeName: contains(query.theme) }, { themeFamily: contains(query.theme) }]
+            })
+          }
+        }
+      ]
+    });
+  }
+
+  return { AND: conditions };
+}
+
+/**
+ * Prisma filter for activations matching a parsed dashboard query.
+ */
+export function buildActivationWhere(query) {
+  const conditions = [];
+
+  if (query.q) {
+    conditions.push({ OR: [{ licenseKey: contains(query.q) }, { domain: contains(query.q) }] });
+  }
+
+  if (query.status === "active") {
+    conditions.push({ isActive: true });
+  } else if (query.status === "inactive") {
+    conditions.push({ isActive: false });
+  } else if (query.status === "mismatch") {
+    conditions.push({ themeMismatch: { not: null } });
+  } else if (query.status === "suspended") {
+    conditions.push({ isActive: true, suspendedAt: { not: null } });
+  } else if (query.status === "theme_warning") {
+    conditions.push({ themeWarning: { not: null } });
+  } else if (query.status === "embed_off") {
+    conditions.push({ isActive: true, appEmbed: { in: ["disabled", "missing"] } });
+  }
+
+  const activatedAt = dateRange(query);
+  if (activatedAt) {
+    conditions.push({ activatedAt });
+  }
+
+  if (query.theme) {
+    conditions.push({
+      OR: [
+        { themeName: contains(query.theme) },
+        { themeFamily: contains(query.theme) },
+        { themeId: query.theme }
+      ]
+    });
+  }
+
+  return { AND: conditions };
+}
+
+/**
+ * Sort order for a parsed query, with the id as a tie-breaker so cursors are stable.
+ */
+export function buildOrderBy(query) {
+  return [{ [query.sort]: query.direction }, { id: query.direction }];
+}
+
+/**
+ * One page of a cursor-paginated query. `after`/`before` are record ids from
+ * the edges of the current page; one extra row is read to know if more exist.
+ */
+export async function findPage(model, { where, orderBy, after, before, pageSize = PAGE_SIZE }) {
+  if (before) {
+    const rows = await model.findMany({
+      where,
+      orderBy,
+      cursor: { id: before },
+      skip: 1,
+      take: -(pageSize + 1)
+    });
+    const hasPrevious = rows.length > pageSize;
+
+    return { items: hasPrevious ? rows.slice(1) : rows, hasPrevious, hasNext: true };
+  }
+
+  const rows = await model.findMany({
+    where,
+    orderBy,
+    ...(after ? { cursor: { id: after }, skip: 1 } : {}),
+    take: pageSize + 1
+  });
+  const hasNext = rows.length > pageSize;
+
+  return { items: hasNext ? rows.slice(0, pageSize) : rows, hasPrevious: Boolean(after), hasNext };
+}
+
+/**
+ * Licenses or activations for the dashboard's current view, filters and page.
+ */
+export async function findDashboardPage(query) {
+  if (query.view === "activations") {
+    const where = buildActivationWhere(query);
+    const [page, total] = await Promise.all([
+      findPage(prisma.licenseActivation, { where, orderBy: buildOrderBy(query), after: query.after, before: query.before }),
+      prisma.licenseActivation.count({ where })
+    ]);
+    return { ...page, total };
+  }
+
+  const where = await buildLicenseWhere(query);
+  const [page, total] = await Promise.all([
+    findPage(prisma.license, { where, orderBy: buildOrderBy(query), after: query.after, before: query.before }),
+    prisma.license.count({ where })
+  ]);
+  return { ...page, total };
+}
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+
+// Tokens are compact JWS strings signed with ES256 (ECDSA P-256 / SHA-256).
+// ES256 is used instead of Ed25519 because every browser's WebCrypto can
+// verify it, which lets the theme snippet check tokens without a library.
+const ALGORITHM = "ES256";
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_CHECK_CACHE_SECONDS = 60 * 60;
+
+let signingKeys;
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function loadSigningKeys() {
+  if (signingKeys) {
+    return signingKeys;
+  }
+
+  let privateKey;
+
+  if (process.env.LICENSE_SIGNING_KEY) {
+    // Hosting dashboards often store PEM values with escaped newlines
+    privateKey = crypto.createPrivateKey(
+      process.env.LICENSE_SIGNING_KEY.replace(/\\n/g, "\n")
+    );
+  } else {
+    console.warn(
+      "LICENSE_SIGNING_KEY is not set - using an ephemeral signing key. " +
+      "Issued license tokens will stop verifying when the server restarts."
+    );
+    ({ privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }));
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const jwk = publicKey.export({ format: "jwk" });
+
+  signingKeys = { privateKey, publicKey, kid: keyId(jwk), jwk };
+  return signingKeys;
+}
+
+// Key ID derived from the key itself, so the same key always has the same ID
+function keyId(jwk) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }))
+    .digest("base64url")
+    .slice(0, 16);
+}
+
+// Public keys trusted besides the signing key (LICENSE_PINNED_PUBLIC_KEYS, one or
+// more PEM public keys): the next key before a rotation, or the previous one after
+function loadPinnedPublicKeys() {
+  const pem = (process.env.LICENSE_PINNED_PUBLIC_KEYS || "").replace(/\\n/g, "\n");
+
+  return (pem.match(/-----BEGIN PUBLIC KEY-----[\s\S]+?-----END PUBLIC KEY-----/g) || [])
+    .map((key) => crypto.createPublicKey(key).export({ format: "jwk" }));
+}
+
+export function getTokenTtlSeconds() {
+  const ttl = parseInt(process.env.LICENSE_TOKEN_TTL_SECONDS, 10);
+  return ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * How long the theme may reuse a positive license check before asking again.
+ */
+export function getCheckCacheSeconds() {
+  const seconds = parseInt(process.env.LICENSE_CHECK_CACHE_SECONDS, 10);
+  return seconds >= 0 ? seconds : DEFAULT_CHECK_CACHE_SECONDS;
+}
+
+/**
+ * Signs a license token for a domain plus any extra claims. Tokens are readable by
+ * anyone who sees them, so they must not carry the license key.
+ * `notAfter` caps the token lifetime, e.g. at the end of a license's grace period,
+ * and `ttlSeconds` replaces the default lifetime of LICENSE_TOKEN_TTL_SECONDS.
+ * Returns the compact JWS string together with its expiry date.
+ */
+export function signLicenseToken({ domain, ...claims }, { notAfter, ttlSeconds } = {}) {
+  const { privateKey, kid } = loadSigningKeys();
+  const issuedAt = Math.floor(Date.now() / 1000);
+  let expiresAt = issuedAt + (ttlSeconds || getTokenTtlSeconds());
+
+  if (notAfter) {
+    expiresAt = Math.min(expiresAt, Math.floor(new Date(notAfter).getTime() / 1000));
+  }
+
+  const header = base64url(JSON.stringify({ alg: ALGORITHM, typ: "JWT", kid }));
+  const payload = base64url(
+    JSON.stringify({ domain, ...claims, iat: issuedAt, exp: expiresAt })
+  );
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${payload}`), {
+    key: privateKey,
+    dsaEncoding: "ieee-p1363"
+  });
+
+  return {
+    token: `${header}.${payload}.${base64url(signature)}`,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+}
+
+/**
+ * Verifies a token issued by signLicenseToken.
+ * Returns the decoded payload, or null if the signature is invalid or the token has expired.
+ */
+export function verifyLicenseToken(token) {
+  const { publicKey } = loadSigningKeys();
+  const [header, payload, signature] = String(token || "").split(".");
+
+  if (!header || !payload || !signature) {
+    return null;
+  }
+
+  const valid = crypto.verify(
+    "sha256",
+    Buffer.from(`${header}.${payload}`),
+    { key: publicKey, dsaEncoding: "ieee-p1363" },
+    Buffer.from(signature, "base64url")
+  );
+
+  if (!valid) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Public verification keys as a JSON Web Key Set: the signing key first, then
+ * any pinned keys. The license client is served with this set built in.
+ */
+export function getPublicJwks() {
+  const { jwk, kid } = loadSigningKeys();
+  const pinned = loadPinnedPublicKeys().filter((key) => keyId(key) !== kid);
+
+  return {
+    keys: [jwk, ...pinned].map((key) => ({ ...key, kid: keyId(key), alg: ALGORITHM, use: "sig" }))
+  };
+}
@@ -0,0 +1,71 @@
+import crypto from "crypto";
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { getPublicJwks, signLicenseToken, verifyLicenseToken } from "./license-token.server";
+
+beforeAll(() => {
+  const { privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  vi.stubEnv("LICENSE_SIGNING_KEY", privateKey.export({ type: "pkcs8", format: "pem" }));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// Re-encodes one part of a token, keeping the original signature
+function tamper(token, index, change) {
+  const parts = token.split(".");
+  const decoded = JSON.parse(Buffer.from(parts[index], "base64url").toString("utf8"));
+  parts[index] = Buffer.from(JSON.stringify(change(decoded))).toString("base64url");
+  return parts.join(".");
+}
+
+describe("signLicenseToken", () => {
+  it("signs an ES256 token with the key ID of the public key", () => {
+    const { token } = signLicenseToken({ domain: "shop.myshopify.com", licenseKey: "TL-1" });
+    const header = JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString("utf8"));
+
+    expect(header).toMatchObject({ alg: "ES256", typ: "JWT" });
+    expect(getPublicJwks().keys[0].kid).toBe(header.kid);
+  });
+
+  it("expires after ttlSeconds, capped at notAfter", () => {
+    const now = new Date("2026-01-01T00:00:00Z");
+    vi.useFakeTimers({ now });
+
+    expect(signLicenseToken({ domain: "a", licenseKey: "b" }, { ttlSeconds: 60 }).expiresAt)
+      .toEqual(new Date(now.getTime() + 60 * 1000));
+    expect(signLicenseToken({ domain: "a", licenseKey: "b" }, { ttlSeconds: 60, notAfter: new Date(now.getTime() + 10 * 1000) }).expiresAt)
+      .toEqual(new Date(now.getTime() + 10 * 1000));
+  });
+});
+
+describe("verifyLicenseToken", () => {
+  it("returns the claims of a valid token", () => {
+    const { token } = signLicenseToken({ domain: "shop.myshopify.com", licenseKey: "TL-1", activated: true });
+
+    expect(verifyLicenseToken(token)).toMatchObject({
+      domain: "shop.myshopify.com",
+      licenseKey: "TL-1",
+      activated: true
+    });
+  });
+
+  it("rejects a token whose claims were changed", () => {
+    const { token } = signLicenseToken({ domain: "shop.myshopify.com", licenseKey: "TL-1" });
+
+    expect(verifyLicenseToken(tamper(token, 1, (claims) => ({ ...claims, domain: "other.myshopify.com" })))).toBeNull();
+  });
+
+  it("rejects an expired token", () => {
+    const { token } = signLicenseToken({ domain: "a", licenseKey: "b" }, { ttlSeconds: 60 });
+    vi.useFakeTimers({ now: Date.now() + 61 * 1000 });
+
+    expect(verifyLicenseToken(token)).toBeNull();
+  });
+
+  it("rejects malformed tokens", () => {
+    expect(verifyLicenseToken("")).toBeNull();
+    expect(verifyLicenseToken("a.b")).toBeNull();
+    expect(verifyLicenseToken(null)).toBeNull();
+  });
+});
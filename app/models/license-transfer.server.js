@@ -0,0 +1,207 @@
+import prisma from "../db.server";
+import { ACTOR_TYPES, EVENT_TYPES } from "./license-event.server";
+import {
+  checkSeatAvailability,
+  getLicenseStatus,
+  refreshLicenseState,
+  withSeatTransaction
+} from "./license.server";
+import { DEVELOPMENT, PRODUCTION, detectStoreEnvironment } from "./store-environment.server";
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Transfers allowed per license in any rolling 12 months (LICENSE_TRANSFERS_PER_YEAR, default 2).
+ */
+export function getTransferLimit() {
+  const limit = parseInt(process.env.LICENSE_TRANSFERS_PER_YEAR, 10);
+  return limit >= 0 ? limit : 2;
+}
+
+/**
+ * Whether customers may move their own license from the storefront (STOREFRONT_TRANSFERS=true).
+ */
+export function storefrontTransfersEnabled() {
+  return process.env.STOREFRONT_TRANSFERS === "true";
+}
+
+/**
+ * Transfers of a license, newest first.
+ */
+export async function getTransferHistory(licenseKey, { take = 50 } = {}) {
+  return prisma.licenseTransfer.findMany({
+    where: { licenseKey },
+    orderBy: { createdAt: "desc" },
+    take
+  });
+}
+
+/**
+ * How many transfers a license has left in the current 12-month window.
+ * Domains customers deactivate in the license portal count as transfers,
+ * since the freed seat lets them activate another store.
+ */
+export async function checkTransferAllowance(licenseKey, now = new Date()) {
+  const limit = getTransferLimit();
+  const since = new Date(now.getTime() - YEAR_MS);
+  const [transfers, deactivations] = await Promise.all([
+    prisma.licenseTransfer.findMany({
+      where: { licenseKey, createdAt: { gte: since } },
+      select: { createdAt: true }
+    }),
+    prisma.licenseEvent.findMany({
+      where: { licenseKey, type: EVENT_TYPES.REVOKE, actorType: ACTOR_TYPES.CUSTOMER, createdAt: { gte: since } },
+      select: { createdAt: true }
+    })
+  ]);
+  const recent = [...transfers, ...deactivations]
+    .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+  const used = recent.length;
+
+  if (used < limit) {
+    return { allowed: true, used, limit, remaining: limit - used };
+  }
+
+  // The oldest transfer in the window is the next one to drop out of it
+  const nextAvailableAt = limit > 0
+    ? new Date(new Date(recent[recent.length - limit].createdAt).getTime() + YEAR_MS)
+    : null;
+
+  return {
+    allowed: false,
+    used,
+    limit,
+    remaining: 0,
+    nextAvailableAt,
+    error: nextAvailableAt
+      ? `Transfer limit reached (${used}/${limit} in the last 12 months). The next transfer is possible on ${nextAvailableAt.toISOString().slice(0, 10)}.`
+      : "Transfers are not allowed for this license."
+  };
+}
+
+/**
+ * Moves a license seat from one domain to another. The old activation is
+ * switched off, the new one switched on and the transfer recorded in a
+ * single transaction, so a failure never leaves the key on both or neither.
+ * Returns { success: true, activation, transfer, allowance } or { success: false, error }.
+ */
+export async function transferLicense({ license, fromDomain, toDomain, actorType, actor }) {
+  if (fromDomain === toDomain) {
+    return { success: false, error: "The new domain must be different from the current one" };
+  }
+
+  const { status } = getLicenseStatus(license);
+
+  if (status === "expired") {
+    return { success: false, error: "Expired licenses cannot be transferred. Please renew the license first." };
+  }
+
+  // Detected up front: it asks Shopify about the store and does not belong in the transaction
+  const environment = await detectStoreEnvironment(toDomain);
+  const result = await withSeatTransaction(license.licenseKey, (tx, current) =>
+    moveSeat(tx, current, { fromDomain, toDomain, environment, actorType, actor })
+  );
+
+  if (!result.success) {
+    return result;
+  }
+
+  const { activation, transfer, allowance } = result;
+
+  await refreshLicenseState(license.licenseKey);
+
+  return {
+    success: true,
+    activation,
+    transfer,
+    allowance: {
+      used: allowance.used + 1,
+      limit: allowance.limit,
+      remaining: allowance.remaining - 1
+    }
+  };
+}
+
+// Switches the seat from one domain to the other and records the transfer, inside a seat transaction
+async function moveSeat(tx, license, { fromDomain, toDomain, environment, actorType, actor }) {
+  const source = await tx.licenseActivation.findFirst({
+    where: { licenseKey: license.licenseKey, domain: fromDomain, isActive: true }
+  });
+
+  if (!source) {
+    return { success: false, error: `This license is not active on ${fromDomain}` };
+  }
+
+  const target = await tx.licenseActivation.findFirst({
+    where: { licenseKey: license.licenseKey, domain: toDomain, isActive: true }
+  });
+
+  if (target) {
+    return { success: false, error: `This license is already active on ${toDomain}` };
+  }
+
+  const allowance = await checkTransferAllowance(license.licenseKey);
+
+  if (!allowance.allowed) {
+    return { success: false, error: allowance.error };
+  }
+
+  // The freed seat covers the new domain unless it moves between production and development
+  const sourceEnvironment = source.environment === DEVELOPMENT ? DEVELOPMENT : PRODUCTION;
+
+  if (environment !== sourceEnvironment) {
+    const seats = await checkSeatAvailability(license, toDomain, environment, tx);
+
+    if (!seats.available) {
+      return { success: false, error: seats.error };
+    }
+  }
+
+  // The new store reports its own theme on its first check
+  const activationData = {
+    isActive: true,
+    environment,
+    activatedAt: new Date(),
+    themeId: null,
+    themeName: null,
+    themeFamily: null,
+    themeVersion: null,
+    themeMismatch: null,
+    themeMismatchAt: null,
+    themeWarning: null,
+    themeWarningAt: null,
+    suspendedAt: null
+  };
+
+  await tx.licenseActivation.update({
+    where: { id: source.id },
+    data: { isActive: false }
+  });
+
+  const activation = await tx.licenseActivation.upsert({
+    where: {
+      licenseKey_domain: {
+        licenseKey: license.licenseKey,
+        domain: toDomain
+      }
+    },
+    update: activationData,
+    create: {
+      licenseKey: license.licenseKey,
+      domain: toDomain,
+      ...activationData
+    }
+  });
+
+  const transfer = await tx.licenseTransfer.create({
+    data: {
+      licenseKey: license.licenseKey,
+      fromDomain,
+      toDomain,
+      actorType,
+      actor: actor || null
+    }
+  });
+
+  return { success: true, activation, transfer, allowance };
+}
@@ -0,0 +1,359 @@
+import prisma from "../db.server";
+import {
+  DEVELOPMENT,
+  PRODUCTION,
+  getDevelopmentAllowance
+} from "./store-environment.server";
+
+export const LICENSE_TERMS = ["lifetime", "annual", "monthly"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields added after the first release. Licenses stored before then do not have them, since
+// MongoDB documents are not backfilled, so they are optional and read with these defaults.
+export const LICENSE_DEFAULTS = {
+  maxActivations: 1,
+  term: "lifetime",
+  graceDays: 7
+};
+
+// Trashed licenses can be restored for this many days, then only purged
+export const TRASH_RETENTION_DAYS = 30;
+
+// Licenses created before soft delete existed have no deletedAt field at all
+export const notDeleted = {
+  OR: [{ deletedAt: null }, { deletedAt: { isSet: false } }]
+};
+
+export const inTrash = {
+  deletedAt: { not: null }
+};
+
+// Activations created before environments existed have no value and count as production
+function environmentFilter(environment) {
+  if (environment === DEVELOPMENT) {
+    return { environment: DEVELOPMENT };
+  }
+  return environment ? { NOT: { environment: DEVELOPMENT } } : {};
+}
+
+/**
+ * Active activations (seats) currently held by a license.
+ * Pass an environment to only return production or development seats.
+ * `db` is the Prisma client or transaction to read with.
+ */
+export async function getActiveSeats(licenseKey, environment, db = prisma) {
+  return db.licenseActivation.findMany({
+    where: {
+      licenseKey,
+      isActive: true,
+      ...environmentFilter(environment)
+    },
+    orderBy: { activatedAt: "desc" }
+  });
+}
+
+/**
+ * Checks whether a license can be activated on a domain without going over its seat limit.
+ * A domain that already holds an active seat can always re-activate.
+ * Development stores use their own allowance and never count against the seat limit.
+ * `error` only gives seat counts, since it is shown to storefront visitors; the
+ * domains holding the seats are in `activeDomains` for admin messages.
+ */
+export async function checkSeatAvailability(license, domain, environment = PRODUCTION, db = prisma) {
+  const isDevelopment = environment === DEVELOPMENT;
+  const seats = await getActiveSeats(license.licenseKey, environment, db);
+  const used = seats.length;
+  const max = isDevelopment ? getDevelopmentAllowance() : license.maxActivations ?? LICENSE_DEFAULTS.maxActivations;
+  const alreadyActive = seats.some((seat) => seat.domain === domain);
+
+  if (alreadyActive || used < max) {
+    return { available: true, alreadyActive, used, max, environment };
+  }
+
+  const label = isDevelopment ? "Development store limit reached" : "Seat limit reached";
+
+  return {
+    available: false,
+    alreadyActive,
+    used,
+    max,
+    environment,
+    activeDomains: seats.map((seat) => seat.domain),
+    error: `${label} (${used}/${max}). Deactivate the license on another store first.`
+  };
+}
+
+/**
+ * Seat limit error for the dashboard and admin API, naming the stores that hold the seats.
+ */
+export function describeSeatLimit(seats) {
+  return `${seats.error} This license is already active on: ${seats.activeDomains.join(", ")}`;
+}
+
+/**
+ * A license with the default filled in for every field it is missing.
+ */
+export function withLicenseDefaults(license) {
+  if (!license) {
+    return license;
+  }
+
+  const defaults = Object.entries(LICENSE_DEFAULTS).map(([field, value]) => [field, license[field] ?? value]);
+  return { ...license, ...Object.fromEntries(defaults) };
+}
+
+/**
+ * Expiry date for a term starting at `from`, or null for lifetime licenses
+ * and licenses without a term.
+ */
+export function calculateExpiry(term, from = new Date()) {
+  const expiresAt = new Date(from);
+
+  if (term === "annual") {
+    expiresAt.setFullYear(expiresAt.getFullYear() + 1);
+  } else if (term === "monthly") {
+    expiresAt.setMonth(expiresAt.getMonth() + 1);
+  } else {
+    return null;
+  }
+
+  return expiresAt;
+}
+
+/**
+ * Time-based status of a license:
+ * - "active": not expired (or lifetime); daysRemaining counts down to expiresAt
+ * - "grace": expired but within graceDays; daysRemaining counts down to graceEndsAt
+ * - "expired": past the grace period
+ */
+export function getLicenseStatus(license, now = new Date()) {
+  if (!license.expiresAt) {
+    return { status: "active", expiresAt: null, graceEndsAt: null, daysRemaining: null };
+  }
+
+  const expiresAt = new Date(license.expiresAt);
+  const graceEndsAt = new Date(expiresAt.getTime() + (license.graceDays ?? LICENSE_DEFAULTS.graceDays) * DAY_MS);
+  const daysUntil = (date) => Math.max(0, Math.ceil((date.getTime() - now.getTime()) / DAY_MS));
+
+  if (now < expiresAt) {
+    return { status: "active", expiresAt, graceEndsAt, daysRemaining: daysUntil(expiresAt) };
+  }
+
+  if (now < graceEndsAt) {
+    return { status: "grace", expiresAt, graceEndsAt, daysRemaining: daysUntil(graceEndsAt) };
+  }
+
+  return { status: "expired", expiresAt, graceEndsAt, daysRemaining: 0 };
+}
+
+// Prisma's error code for a transaction aborted by a concurrent write
+const WRITE_CONFLICT = "P2034";
+const SEAT_TRANSACTION_ATTEMPTS = 3;
+
+/**
+ * Runs `write(tx, license)` in a transaction that first writes the license, so
+ * concurrent seat changes of the same license conflict instead of both counting
+ * the same free seat. The transaction that loses is retried against the updated seats.
+ * Transactions need MongoDB to run as a replica set.
+ */
+export async function withSeatTransaction(licenseKey, write) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const license = await tx.license.update({
+          where: { licenseKey },
+          data: { updatedAt: new Date() }
+        });
+
+        return write(tx, license);
+      });
+    } catch (error) {
+      if (error?.code !== WRITE_CONFLICT || attempt >= SEAT_TRANSACTION_ATTEMPTS) {
+        throw error;
+      }
+
+      // Give the transaction that won a moment to commit
+      await new Promise((resolve) => setTimeout(resolve, 50 * attempt));
+    }
+  }
+}
+
+/**
+ * Creates or re-enables the activation for a domain and marks the license active,
+ * if the license has a seat for it (see checkSeatAvailability). The seat check and
+ * the write run in one seat transaction.
+ * Returns { activation, seats }, with activation null when there was no seat.
+ */
+export async function activateDomain(license, domain, {
+  themeId,
+  themeName,
+  themeFamily,
+  themeVersion,
+  environment = PRODUCTION
+} = {}) {
+  return withSeatTransaction(license.licenseKey, (tx, current) =>
+    writeActivation(tx, current, domain, { themeId, themeName, themeFamily, themeVersion, environment })
+  );
+}
+
+async function writeActivation(tx, license, domain, { themeId, themeName, themeFamily, themeVersion, environment }) {
+  const { licenseKey } = license;
+  const seats = await checkSeatAvailability(license, domain, environment, tx);
+
+  if (!seats.available) {
+    return { activation: null, seats };
+  }
+
+  // Theme fields that were not passed keep their stored values
+  const themeData = Object.fromEntries(
+    Object.entries({ themeId, themeName, themeFamily, themeVersion })
+      .filter(([, value]) => value !== undefined)
+      .map(([field, value]) => [field, value || null])
+  );
+
+  const activation = await tx.licenseActivation.upsert({
+    where: {
+      licenseKey_domain: {
+        licenseKey,
+        domain
+      }
+    },
+    update: {
+      isActive: true,
+      environment,
+      themeMismatch: null,
+      themeMismatchAt: null,
+      suspendedAt: null,
+      ...themeData
+    },
+    create: {
+      licenseKey,
+      domain,
+      isActive: true,
+      environment,
+      ...themeData
+    }
+  });
+
+  // Subscription terms start counting from the first activation
+  const expiresAt = license.expiresAt ? null : calculateExpiry(license.term);
+
+  await tx.license.update({
+    where: { licenseKey },
+    data: {
+      ...(expiresAt ? { expiresAt } : {}),
+      // The license's domain tracks its live store, not staging copies
+      ...(environment !== DEVELOPMENT ? { domain } : {}),
+      isActive: true,
+      activatedAt: new Date(),
+      ...(themeId === undefined ? {} : { themeId: themeId || null })
+    }
+  });
+
+  return { activation, seats };
+}
+
+/**
+ * Syncs the license summary fields after a seat was released.
+ * The license stays active while any seat remains; otherwise it keeps
+ * its last domain for easy reactivation.
+ */
+export async function refreshLicenseState(licenseKey) {
+  const seats = await getActiveSeats(licenseKey);
+
+  if (seats.length > 0) {
+    const latestSeat = seats.find((seat) => seat.environment !== DEVELOPMENT) || seats[0];
+
+    return prisma.license.updateMany({
+      where: { licenseKey },
+      data: {
+        domain: latestSeat.domain,
+        isActive: true
+      }
+    });
+  }
+
+  return prisma.license.updateMany({
+    where: { licenseKey },
+    data: {
+      isActive: false,
+      activatedAt: null
+    }
+  });
+}
+
+/**
+ * Switches off a license's activation on one domain, or on every domain when
+ * none is given. Activations are kept so the history survives.
+ */
+export async function revokeLicense(licenseKey, domain) {
+  const { count } = await prisma.licenseActivation.updateMany({
+    where: {
+      licenseKey,
+      isActive: true,
+      ...(domain ? { domain } : {})
+    },
+    data: {
+      isActive: false
+    }
+  });
+
+  await refreshLicenseState(licenseKey);
+
+  return count;
+}
+
+/**
+ * Whether a trashed license is still inside the restore window.
+ */
+export function isRestorable(license, now = new Date()) {
+  if (!license?.deletedAt) {
+    return false;
+  }
+
+  return now.getTime() - new Date(license.deletedAt).getTime() < TRASH_RETENTION_DAYS * DAY_MS;
+}
+
+/**
+ * Moves a license to the trash: it is hidden from the dashboard and all of
+ * its activations are switched off, but nothing is removed.
+ */
+export async function trashLicense(licenseKey) {
+  await prisma.licenseActivation.updateMany({
+    where: { licenseKey },
+    data: { isActive: false }
+  });
+
+  return prisma.license.update({
+    where: { licenseKey },
+    data: {
+      deletedAt: new Date(),
+      isActive: false,
+      activatedAt: null
+    }
+  });
+}
+
+/**
+ * Takes a license out of the trash. Activations stay off until reactivated.
+ */
+export async function restoreLicense(licenseKey) {
+  return prisma.license.update({
+    where: { licenseKey },
+    data: { deletedAt: null }
+  });
+}
+
+/**
+ * Permanently removes a trashed license and its activations.
+ */
+export async function purgeLicense(licenseKey) {
+  await prisma.licenseActivation.deleteMany({
+    where: { licenseKey }
+  });
+
+  return prisma.license.delete({
+    where: { licenseKey }
+  });
+}
@@ -0,0 +1,64 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { checkSeatAvailability, describeSeatLimit } from "./license.server";
+import { DEVELOPMENT, PRODUCTION } from "./store-environment.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+vi.mock("../shopify.server", () => ({ unauthenticated: {} }));
+
+// Stands in for the Prisma client, holding the active seats of one license
+function seatsDb(domains) {
+  return {
+    licenseActivation: {
+      findMany: vi.fn(async () => domains.map((domain) => ({ domain, isActive: true })))
+    }
+  };
+}
+
+const license = { licenseKey: "TL-1", maxActivations: 2 };
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("checkSeatAvailability", () => {
+  it("allows a new domain while seats are free", async () => {
+    const seats = await checkSeatAvailability(license, "b.myshopify.com", PRODUCTION, seatsDb(["a.myshopify.com"]));
+
+    expect(seats).toMatchObject({ available: true, alreadyActive: false, used: 1, max: 2 });
+  });
+
+  it("always allows a domain that already holds a seat", async () => {
+    const db = seatsDb(["a.myshopify.com", "b.myshopify.com"]);
+    const seats = await checkSeatAvailability(license, "a.myshopify.com", PRODUCTION, db);
+
+    expect(seats).toMatchObject({ available: true, alreadyActive: true, used: 2, max: 2 });
+  });
+
+  it("rejects a new domain once the limit is used, without naming the stores", async () => {
+    const db = seatsDb(["a.myshopify.com", "b.myshopify.com"]);
+    const seats = await checkSeatAvailability(license, "c.myshopify.com", PRODUCTION, db);
+
+    expect(seats).toMatchObject({ available: false, used: 2, max: 2 });
+    expect(seats.error).toMatch(/^Seat limit reached \(2\/2\)/);
+    expect(seats.error).not.toContain("a.myshopify.com");
+    expect(describeSeatLimit(seats)).toContain("a.myshopify.com, b.myshopify.com");
+  });
+
+  it("gives licenses without maxActivations one seat", async () => {
+    const seats = await checkSeatAvailability({ licenseKey: "TL-1" }, "b.myshopify.com", PRODUCTION, seatsDb(["a.myshopify.com"]));
+
+    expect(seats).toMatchObject({ available: false, max: 1 });
+  });
+
+  it("counts development stores against their own allowance", async () => {
+    vi.stubEnv("DEVELOPMENT_ACTIVATIONS_PER_LICENSE", "1");
+    const db = seatsDb(["dev.myshopify.com"]);
+    const seats = await checkSeatAvailability(license, "dev-2.myshopify.com", DEVELOPMENT, db);
+
+    expect(seats).toMatchObject({ available: false, used: 1, max: 1 });
+    expect(seats.error).toMatch(/^Development store limit reached/);
+    expect(db.licenseActivation.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: expect.objectContaining({ environment: DEVELOPMENT }) })
+    );
+  });
+});
@@ -0,0 +1,67 @@
+// Sends emails to customers, such as license portal sign-in codes. MAILER picks the transport:
+//   "console" - logs the email instead of sending it, for development (default outside production)
+//   "webhook" - POSTs { from, to, subject, text } as JSON to MAILER_WEBHOOK_URL, e.g. an email
+//               service's HTTP API or an automation that sends the email. MAILER_WEBHOOK_SECRET,
+//               when set, is sent as a Bearer token; MAILER_FROM is passed as the sender.
+// Each transport implements send({ to, subject, text }) and throws when the email was not accepted.
+export const consoleMailer = {
+  name: "console",
+
+  async send({ to, subject, text }) {
+    console.log(`Email to ${to}: ${subject}\n${text}`);
+  }
+};
+
+export const webhookMailer = {
+  name: "webhook",
+
+  async send({ to, subject, text }) {
+    const url = process.env.MAILER_WEBHOOK_URL;
+
+    if (!url) {
+      throw new Error("MAILER_WEBHOOK_URL is not set");
+    }
+
+    const secret = process.env.MAILER_WEBHOOK_SECRET;
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(secret ? { Authorization: `Bearer ${secret}` } : {})
+      },
+      body: JSON.stringify({ from: process.env.MAILER_FROM || null, to, subject, text })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mailer webhook answered with status ${response.status}`);
+    }
+  }
+};
+
+const MAILERS = {
+  [consoleMailer.name]: consoleMailer,
+  [webhookMailer.name]: webhookMailer
+};
+
+/**
+ * Mailer selected by MAILER ("console" by default outside production). In production
+ * MAILER must be set, so sign-in codes are never silently written to the log instead.
+ */
+export function getMailer() {
+  if (!process.env.MAILER && process.env.NODE_ENV === "production") {
+    throw new Error("MAILER is not set; choose how emails are sent in production");
+  }
+
+  const name = process.env.MAILER || consoleMailer.name;
+  const mailer = MAILERS[name];
+
+  if (!mailer) {
+    throw new Error(`Unknown MAILER "${name}"`);
+  }
+
+  return mailer;
+}
+
+export async function sendEmail(message) {
+  return getMailer().send(message);
+}
@@ -0,0 +1,36 @@
+// What the theme does when it cannot reach the license server, e.g. during a hosting outage:
+//   "fail-open"        - stays unlocked as long as its last successful check found a valid license
+//   "fail-closed"      - locks until the license server answers again
+//   "fail-open-window" - stays unlocked for a number of hours after the last successful check (default)
+// Licenses can override the default set with OUTAGE_POLICY and OUTAGE_WINDOW_HOURS.
+export const OUTAGE_POLICIES = {
+  OPEN: "fail-open",
+  CLOSED: "fail-closed",
+  WINDOW: "fail-open-window"
+};
+
+export function getDefaultOutagePolicy() {
+  const policy = process.env.OUTAGE_POLICY || OUTAGE_POLICIES.WINDOW;
+
+  if (!Object.values(OUTAGE_POLICIES).includes(policy)) {
+    throw new Error(`Unknown OUTAGE_POLICY "${policy}"`);
+  }
+
+  return policy;
+}
+
+export function getDefaultOutageHours() {
+  const hours = parseInt(process.env.OUTAGE_WINDOW_HOURS, 10);
+  return hours > 0 ? hours : 24;
+}
+
+/**
+ * The outage policy a license's theme follows: its own setting, or the default.
+ * Returns { policy, hours }, where hours only applies to "fail-open-window".
+ */
+export function getOutagePolicy(license) {
+  return {
+    policy: license?.outagePolicy || getDefaultOutagePolicy(),
+    hours: license?.outageHours || getDefaultOutageHours()
+  };
+}
@@ -0,0 +1,289 @@
+import crypto from "crypto";
+import { createCookieSessionStorage, redirect } from "@remix-run/node";
+import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  recordLicenseEvent,
+  snapshotLicense
+} from "./license-event.server";
+import { checkTransferAllowance, getTransferHistory } from "./license-transfer.server";
+import { getLicenseStatus, notDeleted, revokeLicense } from "./license.server";
+import { sendEmail } from "./mailer.server";
+import { clearFailedPortalCodes, recordFailedPortalCode } from "./rate-limit.server";
+import { syncActivationMetafield } from "./store-metafield.server";
+
+// Sign-in codes are six digits, valid for CODE_TTL_MINUTES and a few guesses
+const CODE_TTL_MINUTES = 15;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Customers are signed out of the portal after two hours
+const SESSION_MAX_AGE = 2 * 60 * 60;
+
+const PORTAL_PATH = "/portal";
+
+const hashCode = (code) => crypto.createHash("sha256").update(String(code)).digest();
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+let sessionStorage;
+
+// Signed with PORTAL_SESSION_SECRET, or the app's API secret when it is not set
+function getSessionStorage() {
+  if (!sessionStorage) {
+    const secret = process.env.PORTAL_SESSION_SECRET || process.env.SHOPIFY_API_SECRET;
+
+    if (!secret) {
+      throw new Error("PORTAL_SESSION_SECRET is not set");
+    }
+
+    sessionStorage = createCookieSessionStorage({
+      cookie: {
+        name: "__license_portal",
+        path: PORTAL_PATH,
+        httpOnly: true,
+        sameSite: "lax",
+        secure: process.env.NODE_ENV === "production",
+        maxAge: SESSION_MAX_AGE,
+        secrets: [secret]
+      }
+    });
+  }
+
+  return sessionStorage;
+}
+
+// The license and purchase behind a key. A purchased key only has a license once it has been activated.
+async function findPortalKey(licenseKey) {
+  const [license, purchase] = await Promise.all([
+    prisma.license.findFirst({ where: { AND: [notDeleted, { licenseKey }] } }),
+    prisma.purchasedKey.findUnique({ where: { licenseKey } })
+  ]);
+
+  return { license, purchase };
+}
+
+// Whether the email is the one the key was sold to
+function emailMatches({ license, purchase }, email) {
+  return [license?.customerEmail, purchase?.customerEmail]
+    .some((customerEmail) => customerEmail && normalizeEmail(customerEmail) === email);
+}
+
+/**
+ * Emails a one-time sign-in code when the license key was sold to the email
+ * address. Unknown keys and emails resolve the same way without sending
+ * anything, so the form cannot tell who bought which key. A new code
+ * replaces any earlier one.
+ */
+export async function requestPortalCode({ licenseKey, email }) {
+  const normalized = normalizeEmail(email);
+
+  if (!emailMatches(await findPortalKey(licenseKey), normalized)) {
+    return;
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+  await prisma.portalLogin.deleteMany({ where: { licenseKey } });
+  await prisma.portalLogin.create({
+    data: {
+      licenseKey,
+      email: normalized,
+      codeHash: hashCode(code).toString("hex"),
+      expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000)
+    }
+  });
+
+  await sendEmail({
+    to: normalized,
+    subject: "Your license portal sign-in code",
+    text: [
+      `Your sign-in code for license ${licenseKey} is ${code}.`,
+      `It expires in ${CODE_TTL_MINUTES} minutes. If you did not ask for it, you can ignore this email.`
+    ].join("\n\n")
+  });
+}
+
+/**
+ * Checks a sign-in code. Codes work once, and stop working after
+ * MAX_CODE_ATTEMPTS wrong guesses. Wrong guesses also count towards the
+ * license key's portal lockout, which outlasts any single code.
+ * Returns { success: true } or { success: false, error }.
+ */
+export async function verifyPortalCode({ licenseKey, email, code }) {
+  const login = await prisma.portalLogin.findFirst({
+    where: { licenseKey, email: normalizeEmail(email) },
+    orderBy: { createdAt: "desc" }
+  });
+
+  if (!login || login.expiresAt <= new Date() || login.attempts >= MAX_CODE_ATTEMPTS) {
+    return { success: false, error: "This code has expired. Please request a new one." };
+  }
+
+  const expected = Buffer.from(login.codeHash, "hex");
+  const actual = hashCode(String(code || "").trim());
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const lockout = await recordFailedPortalCode(licenseKey);
+
+    if (lockout.locked) {
+      await prisma.portalLogin.deleteMany({ where: { licenseKey } });
+      return {
+        success: false,
+        error: `Too many wrong codes. Please try again in ${Math.ceil(lockout.retryAfter / 60)} minutes.`
+      };
+    }
+
+    await prisma.portalLogin.update({
+      where: { id: login.id },
+      data: { attempts: { increment: 1 } }
+    });
+    return { success: false, error: "That code is not correct." };
+  }
+
+  await prisma.portalLogin.delete({ where: { id: login.id } });
+  await clearFailedPortalCodes(licenseKey);
+
+  return { success: true };
+}
+
+/**
+ * Signs the customer in to the portal and redirects to their license.
+ */
+export async function createPortalSession({ licenseKey, email }) {
+  const storage = getSessionStorage();
+  const session = await storage.getSession();
+  session.set("licenseKey", licenseKey);
+  session.set("email", normalizeEmail(email));
+
+  return redirect(`${PORTAL_PATH}/license`, {
+    headers: { "Set-Cookie": await storage.commitSession(session) }
+  });
+}
+
+/**
+ * The signed-in customer as { licenseKey, email }, or null.
+ */
+export async function getPortalSession(request) {
+  const session = await getSessionStorage().getSession(request.headers.get("Cookie"));
+  const licenseKey = session.get("licenseKey");
+
+  return licenseKey ? { licenseKey, email: session.get("email") } : null;
+}
+
+/**
+ * Like getPortalSession, but sends signed-out customers to the sign-in page.
+ */
+export async function requirePortalSession(request) {
+  const portalSession = await getPortalSession(request);
+
+  if (!portalSession) {
+    throw redirect(PORTAL_PATH);
+  }
+
+  return portalSession;
+}
+
+/**
+ * Signs the customer out and redirects to the sign-in page.
+ */
+export async function destroyPortalSession(request) {
+  const storage = getSessionStorage();
+  const session = await storage.getSession(request.headers.get("Cookie"));
+
+  return redirect(PORTAL_PATH, {
+    headers: { "Set-Cookie": await storage.destroySession(session) }
+  });
+}
+
+/**
+ * What the portal shows a customer about their license. Only fields meant for
+ * the customer are included, since the result is sent to the browser.
+ */
+export async function getPortalOverview(licenseKey) {
+  const { license, purchase } = await findPortalKey(licenseKey);
+  const [activations, transfers, allowance] = await Promise.all([
+    license
+      ? prisma.licenseActivation.findMany({
+        where: { licenseKey, isActive: true },
+        orderBy: { activatedAt: "desc" }
+      })
+      : [],
+    getTransferHistory(licenseKey),
+    checkTransferAllowance(licenseKey)
+  ]);
+  const { status, expiresAt, graceEndsAt, daysRemaining } = license
+    ? getLicenseStatus(license)
+    : { status: "not_activated", expiresAt: null, graceEndsAt: null, daysRemaining: null };
+
+  return {
+    licenseKey,
+    productName: license?.productName ?? purchase?.productName ?? null,
+    term: license?.term ?? purchase?.term ?? "lifetime",
+    maxActivations: license?.maxActivations ?? purchase?.maxActivations ?? 1,
+    status,
+    expiresAt,
+    graceEndsAt,
+    daysRemaining,
+    activations: activations.map((activation) => ({
+      domain: activation.domain,
+      environment: activation.environment,
+      activatedAt: activation.activatedAt,
+      themeName: activation.themeName ?? null,
+      suspended: Boolean(activation.suspendedAt)
+    })),
+    transfers: transfers.map((transfer) => ({
+      fromDomain: transfer.fromDomain,
+      toDomain: transfer.toDomain,
+      createdAt: transfer.createdAt
+    })),
+    allowance: {
+      allowed: allowance.allowed,
+      used: allowance.used,
+      limit: allowance.limit,
+      nextAvailableAt: allowance.nextAvailableAt ?? null
+    }
+  };
+}
+
+/**
+ * Switches off the license on one of the customer's stores, so the seat can be
+ * used elsewhere. Counts against the license's transfer allowance.
+ * Returns { success: true, metafieldSync } or { success: false, error }.
+ */
+export async function deactivatePortalDomain({ licenseKey, email, domain, request }) {
+  const normalized = String(domain || "").toLowerCase();
+  const activation = await prisma.licenseActivation.findFirst({
+    where: { licenseKey, domain: normalized, isActive: true }
+  });
+
+  if (!activation) {
+    return { success: false, error: `This license is not active on ${normalized}` };
+  }
+
+  const allowance = await checkTransferAllowance(licenseKey);
+
+  if (!allowance.allowed) {
+    return { success: false, error: allowance.error };
+  }
+
+  const before = await snapshotLicense(licenseKey);
+
+  await revokeLicense(licenseKey, normalized);
+  await recordLicenseEvent({
+    type: EVENT_TYPES.REVOKE,
+    licenseKey,
+    domain: normalized,
+    actorType: ACTOR_TYPES.CUSTOMER,
+    actor: email,
+    request,
+    before,
+    after: await snapshotLicense(licenseKey),
+    message: "Deactivated by the customer in the license portal"
+  });
+
+  // Lock the theme on the store, unless another license is still active there
+  const metafieldSync = await syncActivationMetafield(normalized);
+
+  return { success: true, metafieldSync };
+}
@@ -0,0 +1,300 @@
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import { getClientIp } from "../utils/request";
+
+// Fixed-window counters. Each store implements:
+//   hit(key, windowSeconds) -> { count, resetAt }   counts a request in the current window
+//   get(key)                -> { count, resetAt } | null
+//   extend(key, resetAt)    keeps the current window open until resetAt
+//   clear(key)
+const memoryBuckets = new Map();
+
+export const memoryStore = {
+  name: "memory",
+
+  async hit(key, windowSeconds) {
+    const now = Date.now();
+    let bucket = memoryBuckets.get(key);
+
+    if (!bucket || bucket.resetAt.getTime() <= now) {
+      // Drop expired buckets now and then so the map cannot grow without bound
+      if (memoryBuckets.size > 10000) {
+        for (const [bucketKey, value] of memoryBuckets) {
+          if (value.resetAt.getTime() <= now) {
+            memoryBuckets.delete(bucketKey);
+          }
+        }
+      }
+
+      bucket = { count: 0, resetAt: new Date(now + windowSeconds * 1000) };
+      memoryBuckets.set(key, bucket);
+    }
+
+    bucket.count += 1;
+    return { ...bucket };
+  },
+
+  async get(key) {
+    const bucket = memoryBuckets.get(key);
+    return bucket && bucket.resetAt.getTime() > Date.now() ? { ...bucket } : null;
+  },
+
+  async extend(key, resetAt) {
+    const bucket = memoryBuckets.get(key);
+    if (bucket) {
+      bucket.resetAt = resetAt;
+    }
+  },
+
+  async clear(key) {
+    memoryBuckets.delete(key);
+  }
+};
+
+// Shared between server instances, which the in-memory store is not
+export const mongoStore = {
+  name: "mongo",
+
+  async hit(key, windowSeconds) {
+    const now = new Date();
+    const { count } = await prisma.rateLimitBucket.updateMany({
+      where: { key, resetAt: { gt: now } },
+      data: { count: { increment: 1 } }
+    });
+
+    if (count === 0) {
+      const resetAt = new Date(now.getTime() + windowSeconds * 1000);
+
+      await prisma.rateLimitBucket.upsert({
+        where: { key },
+        create: { key, count: 1, resetAt },
+        update: { count: 1, resetAt }
+      });
+
+      // Expired buckets are only reused by the same key, so prune the rest occasionally
+      if (Math.random() < 0.01) {
+        await prisma.rateLimitBucket.deleteMany({ where: { resetAt: { lte: now } } });
+      }
+
+      return { count: 1, resetAt };
+    }
+
+    const bucket = await prisma.rateLimitBucket.findUnique({ where: { key } });
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  },
+
+  async get(key) {
+    const bucket = await prisma.rateLimitBucket.findUnique({ where: { key } });
+    return bucket && bucket.resetAt > new Date() ? { count: bucket.count, resetAt: bucket.resetAt } : null;
+  },
+
+  async extend(key, resetAt) {
+    await prisma.rateLimitBucket.updateMany({ where: { key }, data: { resetAt } });
+  },
+
+  async clear(key) {
+    await prisma.rateLimitBucket.deleteMany({ where: { key } });
+  }
+};
+
+const RATE_LIMIT_STORES = {
+  [memoryStore.name]: memoryStore,
+  [mongoStore.name]: mongoStore
+};
+
+/**
+ * Store selected by RATE_LIMIT_STORE ("mongo" by default, or "memory" for a single server).
+ */
+export function getRateLimitStore() {
+  const name = process.env.RATE_LIMIT_STORE || mongoStore.name;
+  const store = RATE_LIMIT_STORES[name];
+
+  if (!store) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+  }
+
+  return store;
+}
+
+function getNumberSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+// Requests allowed per minute for each identifier
+function getLimits() {
+  return {
+    activate: getNumberSetting("RATE_LIMIT_ACTIVATE_PER_MINUTE", 10),
+    check: getNumberSetting("RATE_LIMIT_CHECK_PER_MINUTE", 120),
+    portal: getNumberSetting("RATE_LIMIT_PORTAL_PER_MINUTE", 5)
+  };
+}
+
+function getLockoutSettings() {
+  return {
+    attempts: getNumberSetting("ACTIVATION_LOCKOUT_ATTEMPTS", 5),
+    minutes: getNumberSetting("ACTIVATION_LOCKOUT_MINUTES", 15)
+  };
+}
+
+function getPortalLockoutSettings() {
+  return {
+    attempts: getNumberSetting("PORTAL_LOCKOUT_ATTEMPTS", 10),
+    minutes: getNumberSetting("PORTAL_LOCKOUT_MINUTES", 60)
+  };
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+// Counts the request against every identifier and reports the first one over its limit
+async function consume(scope, identifiers) {
+  const store = getRateLimitStore();
+
+  for (const { name, value, limit } of identifiers) {
+    if (!value) {
+      continue;
+    }
+
+    const { count, resetAt } = await store.hit(`${scope}:${name}:${value}`, 60);
+
+    if (count > limit) {
+      return { limited: true, reason: name, retryAfter: secondsUntil(resetAt) };
+    }
+  }
+
+  return { limited: false };
+}
+
+/**
+ * Throttles storefront activation attempts per IP, domain and license key.
+ */
+export async function limitActivationRequest(request, { domain, licenseKey }) {
+  const { activate } = getLimits();
+
+  return consume("activate", [
+    { name: "ip", value: getClientIp(request), limit: activate },
+    { name: "domain", value: domain?.toLowerCase(), limit: activate },
+    { name: "licenseKey", value: licenseKey, limit: activate }
+  ]);
+}
+
+/**
+ * Throttles storefront license checks per IP. There is no budget per domain:
+ * anyone can send checks for any store, and a shared one would let them lock
+ * out the store's real visitors.
+ */
+export async function limitCheckRequest(request) {
+  const { check } = getLimits();
+
+  return consume("check", [
+    { name: "ip", value: getClientIp(request), limit: check }
+  ]);
+}
+
+/**
+ * Throttles license portal sign-in requests per IP and license key, so codes
+ * cannot be guessed or sent to a customer over and over.
+ */
+export async function limitPortalRequest(request, { licenseKey }) {
+  const { portal } = getLimits();
+
+  return consume("portal", [
+    { name: "ip", value: getClientIp(request), limit: portal },
+    { name: "licenseKey", value: licenseKey, limit: portal }
+  ]);
+}
+
+// Failures are counted per client and domain, so nobody can lock a store out
+// by sending bad keys for it. The domain stays last for the shop/redact cleanup.
+const lockoutKey = (domain, request) =>
+  `lockout:ip:${getClientIp(request) || "unknown"}:domain:${domain.toLowerCase()}`;
+
+async function readLockout(key, { attempts }) {
+  const bucket = await getRateLimitStore().get(key);
+
+  if (bucket && bucket.count >= attempts) {
+    return { locked: true, retryAfter: secondsUntil(bucket.resetAt) };
+  }
+
+  return { locked: false };
+}
+
+// Reaching the attempt limit locks the key for the full lockout period from the last failure
+async function recordFailure(key, { attempts, minutes }) {
+  const store = getRateLimitStore();
+  const { count } = await store.hit(key, minutes * 60);
+
+  if (count >= attempts) {
+    const resetAt = new Date(Date.now() + minutes * 60 * 1000);
+    await store.extend(key, resetAt);
+    return { locked: true, retryAfter: secondsUntil(resetAt) };
+  }
+
+  return { locked: false };
+}
+
+/**
+ * Whether the client is locked out of activating on a domain after too many
+ * failed attempts.
+ */
+export async function getDomainLockout(domain, request) {
+  return readLockout(lockoutKey(domain, request), getLockoutSettings());
+}
+
+/**
+ * Counts a client's failed activation for a domain. Reaching the attempt limit
+ * locks the client out of the domain for the full lockout period from the last failure.
+ */
+export async function recordFailedActivation(domain, request) {
+  return recordFailure(lockoutKey(domain, request), getLockoutSettings());
+}
+
+export async function clearFailedActivations(domain, request) {
+  await getRateLimitStore().clear(lockoutKey(domain, request));
+}
+
+// Wrong portal codes are counted per license key across every code sent for it,
+// since each new code starts with a fresh set of guesses
+const portalLockoutKey = (licenseKey) => `lockout:portal:licenseKey:${licenseKey}`;
+
+/**
+ * Whether portal sign-in is locked for a license key after too many wrong codes.
+ */
+export async function getPortalLockout(licenseKey) {
+  return readLockout(portalLockoutKey(licenseKey), getPortalLockoutSettings());
+}
+
+/**
+ * Counts a wrong portal code for a license key. Reaching PORTAL_LOCKOUT_ATTEMPTS
+ * locks sign-in for the key for PORTAL_LOCKOUT_MINUTES from the last wrong code.
+ */
+export async function recordFailedPortalCode(licenseKey) {
+  return recordFailure(portalLockoutKey(licenseKey), getPortalLockoutSettings());
+}
+
+export async function clearFailedPortalCodes(licenseKey) {
+  await getRateLimitStore().clear(portalLockoutKey(licenseKey));
+}
+
+/**
+ * 429 response for a limited request, with Retry-After in seconds.
+ */
+export function rateLimitedResponse({ retryAfter }, { error = "Too many requests. Please try again later.", headers = {}, ...body } = {}) {
+  return json(
+    {
+      success: false,
+      error,
+      retryAfter,
+      ...body
+    },
+    {
+      status: 429,
+      headers: {
+        ...headers,
+        "Retry-After": String(retryAfter)
+      }
+    }
+  );
+}
@@ -0,0 +1,98 @@
+import { unauthenticated } from "../shopify.server";
+import { findStoreSession } from "./store-ownership.server";
+
+export const PRODUCTION = "production";
+export const DEVELOPMENT = "development";
+
+// Stores matching these patterns get a free development activation.
+// Override with a comma-separated DEVELOPMENT_STORE_PATTERNS list; "*" matches any characters.
+const DEFAULT_DEVELOPMENT_PATTERNS = [
+  "*-staging.myshopify.com",
+  "*-dev.myshopify.com",
+  "*-development.myshopify.com",
+  "*-preview.myshopify.com"
+];
+
+// Shopify plan names used by development, sandbox and partner test stores
+const DEVELOPMENT_PLAN_PATTERN = /development|developer preview|partner test|sandbox|staff/i;
+
+function getDevelopmentPatterns() {
+  const configured = process.env.DEVELOPMENT_STORE_PATTERNS;
+
+  if (!configured) {
+    return DEFAULT_DEVELOPMENT_PATTERNS;
+  }
+
+  return configured
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+function patternToRegExp(pattern) {
+  const escaped = pattern
+    .toLowerCase()
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+export function matchesDevelopmentPattern(domain) {
+  const normalized = String(domain || "").toLowerCase();
+  return getDevelopmentPatterns().some((pattern) => patternToRegExp(pattern).test(normalized));
+}
+
+/**
+ * Number of free, non-counting development activations each license gets.
+ */
+export function getDevelopmentAllowance() {
+  const allowance = parseInt(process.env.DEVELOPMENT_ACTIVATIONS_PER_LICENSE, 10);
+  return allowance >= 0 ? allowance : 1;
+}
+
+// Asks Shopify for the store's plan when the app is installed on it.
+// Returns null when there is no session, so the plan is unknown.
+async function isDevelopmentPlan(domain) {
+  const session = await findStoreSession(domain);
+
+  if (!session) {
+    return null;
+  }
+
+  try {
+    const { admin } = await unauthenticated.admin(domain);
+    const response = await admin.graphql(
+      `#graphql
+        query storeEnvironmentPlan {
+          shop {
+            plan {
+              displayName
+              partnerDevelopment
+            }
+          }
+        }`
+    );
+    const { data } = await response.json();
+    const plan = data?.shop?.plan;
+
+    return Boolean(plan?.partnerDevelopment || DEVELOPMENT_PLAN_PATTERN.test(plan?.displayName || ""));
+  } catch (error) {
+    console.error("Store plan lookup error:", error);
+    return false;
+  }
+}
+
+/**
+ * Classifies a store as "development" or "production".
+ * The Shopify plan decides when the app is installed on the store; the
+ * domain patterns are only trusted for stores without a session.
+ */
+export async function detectStoreEnvironment(domain) {
+  const developmentPlan = await isDevelopmentPlan(domain);
+
+  if (developmentPlan === null) {
+    return matchesDevelopmentPattern(domain) ? DEVELOPMENT : PRODUCTION;
+  }
+
+  return developmentPlan ? DEVELOPMENT : PRODUCTION;
+}
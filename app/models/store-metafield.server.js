@@ -0,0 +1,371 @@
+import { SessionNotFoundError } from "@shopify/shopify-app-remix/server";
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { signLicenseToken } from "./license-token.server";
+import { getLicenseStatus, notDeleted } from "./license.server";
+import { getOutagePolicy } from "./outage-policy.server";
+import { isSuspended } from "./store-uninstall.server";
+
+// Shop-owned metafield that mirrors a store's license state, for themes and other apps
+export const ACTIVATION_METAFIELD = {
+  namespace: "theme_license",
+  key: "activation_status"
+};
+
+// App-owned copy of the license state in the reserved $app namespace. Merchants cannot
+// edit it, so the theme snippet can trust it in Liquid as shop.metafields["app--<app id>--theme_license"]
+export const LICENSE_STATE_METAFIELD = {
+  namespace: "$app:theme_license",
+  key: "license_state"
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Failed writes are retried by the metafield-sync job with exponential backoff, up to this many times
+const MAX_ATTEMPTS = 10;
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+const SHOP_QUERY = `#graphql
+  query licenseMetafieldOwner {
+    shop {
+      id
+    }
+  }`;
+
+const SET_MUTATION = `#graphql
+  mutation setLicenseMetafield($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const DEFINITION_MUTATION = `#graphql
+  mutation createLicenseStateDefinition($definition: MetafieldDefinitionInput!) {
+    metafieldDefinitionCreate(definition: $definition) {
+      createdDefinition {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }`;
+
+const DELETE_MUTATION = `#graphql
+  mutation deleteLicenseMetafield($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields {
+        key
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+/**
+ * How long a signed license state stays valid in Liquid without being rewritten.
+ */
+export function getLicenseStateTtlDays() {
+  const days = parseInt(process.env.LICENSE_STATE_TTL_DAYS, 10);
+  return days > 0 ? days : 7;
+}
+
+// The store's license as /api/license/check sees it, preferring one that has
+// not expired or been suspended, or null when none is active on the domain
+async function findStoreLicense(domain) {
+  const activations = await prisma.licenseActivation.findMany({
+    where: { domain, isActive: true },
+    orderBy: { activatedAt: "desc" }
+  });
+  const licenses = await prisma.license.findMany({
+    where: {
+      AND: [notDeleted, { licenseKey: { in: activations.map((activation) => activation.licenseKey) } }]
+    }
+  });
+
+  const candidates = activations
+    .map((activation) => {
+      const license = licenses.find((item) => item.licenseKey === activation.licenseKey);
+      return license && { activation, license, ...getLicenseStatus(license) };
+    })
+    .filter(Boolean);
+
+  return candidates.find((candidate) => candidate.status !== "expired" && !isSuspended(candidate.activation))
+    || candidates.find((candidate) => candidate.status !== "expired")
+    || candidates[0]
+    || null;
+}
+
+function activationMetafieldValue(domain, match) {
+  if (!match) {
+    return null;
+  }
+
+  return {
+    activated: match.status !== "expired",
+    status: match.status,
+    licenseKey: match.license.licenseKey,
+    domain,
+    activatedAt: match.activation.activatedAt,
+    licenseExpiresAt: match.expiresAt,
+    updatedAt: new Date()
+  };
+}
+
+/**
+ * Value the store's metafield should hold: its live license, or null when
+ * no license is active on the domain and the metafield should be removed.
+ */
+export async function getActivationMetafieldValue(domain) {
+  return activationMetafieldValue(domain, await findStoreLicense(domain));
+}
+
+/**
+ * Signed license state for the app-owned metafield, and when the
+ * license-state job should rewrite it. Liquid unlocks the theme while
+ * `activated` is true and `exp` lies ahead; `token` is the same state as an
+ * ES256 token, so the snippet's JavaScript can verify it like a check result.
+ */
+function buildLicenseState(domain, match) {
+  if (!match) {
+    return null;
+  }
+
+  const { activation, license, status, expiresAt, graceEndsAt } = match;
+
+  if (status === "expired" || isSuspended(activation)) {
+    return {
+      state: { activated: false, status: isSuspended(activation) ? "suspended" : status, domain },
+      refreshAt: null
+    };
+  }
+
+  const ttlSeconds = getLicenseStateTtlDays() * DAY_SECONDS;
+  const toSeconds = (date) => (date ? Math.floor(date.getTime() / 1000) : null);
+  const outagePolicy = getOutagePolicy(license);
+  const claims = {
+    domain,
+    themeId: activation.themeId || null,
+    licenseExpiresAt: toSeconds(expiresAt),
+    graceEndsAt: toSeconds(graceEndsAt),
+    outagePolicy: outagePolicy.policy,
+    outageHours: outagePolicy.hours
+  };
+  const { token, expiresAt: stateExpiresAt } = signLicenseToken(claims, { notAfter: graceEndsAt, ttlSeconds });
+
+  // Renewed halfway through its lifetime; a state cut short by the grace period
+  // is rewritten once it lapses, so Liquid sees the expiry
+  const cappedByGrace = graceEndsAt && graceEndsAt.getTime() < Date.now() + ttlSeconds * 1000;
+  const refreshAt = cappedByGrace
+    ? stateExpiresAt
+    : new Date(stateExpiresAt.getTime() - (ttlSeconds * 1000) / 2);
+
+  return {
+    state: { activated: true, status, ...claims, exp: toSeconds(stateExpiresAt), token },
+    refreshAt
+  };
+}
+
+async function graphql(admin, query, variables) {
+  const response = await admin.graphql(query, variables ? { variables } : undefined);
+  const { data } = await response.json();
+  return data;
+}
+
+function throwUserErrors(userErrors) {
+  if (userErrors?.length > 0) {
+    throw new Error(userErrors.map((userError) => userError.message).join(", "));
+  }
+}
+
+// Liquid can only read app-reserved metafields whose definition grants storefront access
+async function createLicenseStateDefinition(admin) {
+  const { metafieldDefinitionCreate } = await graphql(admin, DEFINITION_MUTATION, {
+    definition: {
+      name: "Theme license state",
+      ...LICENSE_STATE_METAFIELD,
+      ownerType: "SHOP",
+      type: "json",
+      access: { storefront: "PUBLIC_READ" }
+    }
+  });
+
+  throwUserErrors(metafieldDefinitionCreate.userErrors.filter((userError) => userError.code !== "TAKEN"));
+}
+
+// Writes or removes both metafields through the store's own offline session
+async function writeActivationMetafield(domain, value, state) {
+  const { admin } = await unauthenticated.admin(domain);
+  const { shop } = await graphql(admin, SHOP_QUERY);
+  const identifiers = [ACTIVATION_METAFIELD, LICENSE_STATE_METAFIELD]
+    .map((metafield) => ({ ownerId: shop.id, ...metafield }));
+
+  if (!value) {
+    const { metafieldsDelete } = await graphql(admin, DELETE_MUTATION, { metafields: identifiers });
+    throwUserErrors(metafieldsDelete.userErrors);
+    return;
+  }
+
+  await createLicenseStateDefinition(admin);
+
+  const { metafieldsSet } = await graphql(admin, SET_MUTATION, {
+    metafields: [
+      { ...identifiers[0], type: "json", value: JSON.stringify(value) },
+      { ...identifiers[1], type: "json", value: JSON.stringify(state) }
+    ]
+  });
+  throwUserErrors(metafieldsSet.userErrors);
+}
+
+/**
+ * Brings a store's theme_license.activation_status metafield and signed license
+ * state in line with its licenses. Failures are stored and retried by the metafield-sync job.
+ * Returns { synced: true } or { synced: false, error }.
+ */
+export async function syncActivationMetafield(domain) {
+  const normalized = String(domain || "").toLowerCase();
+  const now = new Date();
+
+  try {
+    const match = await findStoreLicense(normalized);
+    const license = buildLicenseState(normalized, match);
+    const refreshAt = license?.refreshAt ?? null;
+
+    await writeActivationMetafield(normalized, activationMetafieldValue(normalized, match), license?.state);
+
+    await prisma.metafieldSync.upsert({
+      where: { domain: normalized },
+      update: { pending: false, attempts: 0, lastError: null, lastAttemptAt: now, nextAttemptAt: null, syncedAt: now, refreshAt },
+      create: { domain: normalized, lastAttemptAt: now, syncedAt: now, refreshAt }
+    });
+
+    return { synced: true };
+  } catch (error) {
+    // Missing sessions mean the app is not installed on the store (yet)
+    const message = error instanceof SessionNotFoundError
+      ? "The app is not installed on this store"
+      : error?.message || String(error);
+    console.error(`Metafield sync error for ${normalized}:`, message);
+
+    const previous = await prisma.metafieldSync.findUnique({ where: { domain: normalized } });
+    const attempts = (previous?.pending ? previous.attempts : 0) + 1;
+    const backoff = Math.min(2 ** attempts * 60 * 1000, MAX_BACKOFF_MS);
+
+    await prisma.metafieldSync.upsert({
+      where: { domain: normalized },
+      update: {
+        pending: true,
+        attempts,
+        lastError: message,
+        lastAttemptAt: now,
+        nextAttemptAt: new Date(now.getTime() + backoff)
+      },
+      create: {
+        domain: normalized,
+        pending: true,
+        attempts,
+        lastError: message,
+        lastAttemptAt: now,
+        nextAttemptAt: new Date(now.getTime() + backoff)
+      }
+    });
+
+    return { synced: false, error: message };
+  }
+}
+
+/**
+ * Syncs the metafield of every store a license has been activated on,
+ * e.g. after it was revoked everywhere or moved to the trash.
+ */
+export async function syncLicenseMetafields(licenseKey) {
+  const activations = await prisma.licenseActivation.findMany({
+    where: { licenseKey },
+    select: { domain: true }
+  });
+  const domains = [...new Set(activations.map((activation) => activation.domain))];
+  const results = await Promise.all(domains.map((domain) => syncActivationMetafield(domain)));
+  const failed = results.find((result) => !result.synced);
+
+  return failed || { synced: true };
+}
+
+/**
+ * Message for admin responses when a metafield could not be written, or null.
+ */
+export function describeMetafieldSync(result) {
+  if (!result || result.synced) {
+    return null;
+  }
+  return `The store's ${ACTIVATION_METAFIELD.namespace}.${ACTIVATION_METAFIELD.key} metafield could not be updated (${result.error}). It will be retried automatically.`;
+}
+
+/**
+ * Retries a store's failed metafield write right away, e.g. once it installs the app.
+ */
+export async function syncPendingMetafield(domain) {
+  const normalized = String(domain || "").toLowerCase();
+  const pending = await prisma.metafieldSync.findFirst({
+    where: { domain: normalized, pending: true }
+  });
+
+  return pending ? syncActivationMetafield(normalized) : { synced: true };
+}
+
+/**
+ * Scheduled job: retries metafield writes that failed and are due again.
+ */
+export async function retryMetafieldSyncs(now = new Date()) {
+  const due = await prisma.metafieldSync.findMany({
+    where: {
+      pending: true,
+      attempts: { lt: MAX_ATTEMPTS },
+      nextAttemptAt: { lte: now }
+    },
+    orderBy: { nextAttemptAt: "asc" },
+    take: 50
+  });
+  let synced = 0;
+
+  for (const { domain } of due) {
+    if ((await syncActivationMetafield(domain)).synced) {
+      synced++;
+    }
+  }
+
+  return { retried: due.length, synced, failed: due.length - synced };
+}
+
+/**
+ * Scheduled job: re-signs license states before they lapse in Liquid, and
+ * rewrites states that ended with their license's grace period.
+ */
+export async function refreshLicenseStates(now = new Date()) {
+  const due = await prisma.metafieldSync.findMany({
+    where: {
+      pending: false,
+      refreshAt: { lte: now }
+    },
+    orderBy: { refreshAt: "asc" },
+    take: 50
+  });
+  let synced = 0;
+
+  for (const { domain } of due) {
+    if ((await syncActivationMetafield(domain)).synced) {
+      synced++;
+    }
+  }
+
+  return { refreshed: due.length, synced, failed: due.length - synced };
+}
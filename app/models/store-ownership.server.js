@@ -0,0 +1,88 @@
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+
+// How storefront activations prove the domain belongs to the person activating:
+//   "session" - the store must have the app installed (an offline Admin API session
+//               that still works for that shop), which only the store owner can grant
+//   "off"     - trust the submitted domain; for local development only
+export const OWNERSHIP_CHECKS = {
+  SESSION: "session",
+  OFF: "off"
+};
+
+export function getOwnershipCheck() {
+  const check = process.env.STORE_OWNERSHIP_CHECK || OWNERSHIP_CHECKS.SESSION;
+
+  if (!Object.values(OWNERSHIP_CHECKS).includes(check)) {
+    throw new Error(`Unknown STORE_OWNERSHIP_CHECK "${check}"`);
+  }
+
+  return check;
+}
+
+/**
+ * Offline session created when the store installed the app, if any.
+ */
+export async function findStoreSession(domain) {
+  return prisma.session.findFirst({
+    where: { shop: String(domain || "").toLowerCase(), isOnline: false }
+  });
+}
+
+/**
+ * The app's public URL, without a trailing slash.
+ */
+export function getAppUrl() {
+  return (process.env.SHOPIFY_APP_URL || "").replace(/\/$/, "");
+}
+
+/**
+ * Link that starts the app install (OAuth) flow for a store.
+ */
+export function getInstallUrl(domain) {
+  return `${getAppUrl()}/auth/login?shop=${encodeURIComponent(domain)}`;
+}
+
+// Sessions outlive uninstalls when the webhook is missed, so confirm the token still works
+async function sessionIsValid(domain) {
+  try {
+    const { admin } = await unauthenticated.admin(domain);
+    const response = await admin.graphql(
+      `#graphql
+        query storeOwnership {
+          shop {
+            myshopifyDomain
+          }
+        }`
+    );
+    const { data } = await response.json();
+
+    return data?.shop?.myshopifyDomain?.toLowerCase() === domain;
+  } catch (error) {
+    console.error("Store ownership check error:", error);
+    return false;
+  }
+}
+
+/**
+ * Checks that a domain may be claimed by a storefront activation.
+ * Returns { verified: true } or { verified: false, error, installUrl }.
+ */
+export async function verifyStoreOwnership(domain) {
+  if (getOwnershipCheck() === OWNERSHIP_CHECKS.OFF) {
+    return { verified: true };
+  }
+
+  const normalized = String(domain || "").toLowerCase();
+  const session = await findStoreSession(normalized);
+
+  if (session && await sessionIsValid(normalized)) {
+    return { verified: true };
+  }
+
+  return {
+    verified: false,
+    error: "To prove you own this store, install the Theme License app on it, then activate your license again.",
+    installUrl: getInstallUrl(normalized)
+  };
+}
@@ -0,0 +1,245 @@
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { ACTOR_TYPES, EVENT_TYPES, recordLicenseEvents } from "./license-event.server";
+import { syncActivationMetafield } from "./store-metafield.server";
+import { familyMatches, normalizeThemeFamily } from "./theme-fingerprint.server";
+
+// Snippet the theme integration guide asks sellers to add (snippets/license-check.liquid)
+export const LICENSE_SNIPPET = "snippets/license-check.liquid";
+
+// Handle of the license gate app embed block in extensions/license-gate
+export const APP_EMBED_HANDLE = "license-gate";
+
+// State of the app embed in a store's published theme
+export const APP_EMBED_STATUS = {
+  ENABLED: "enabled",
+  DISABLED: "disabled",
+  MISSING: "missing"
+};
+
+const SETTINGS_SCHEMA = "config/settings_schema.json";
+const SETTINGS_DATA = "config/settings_data.json";
+
+// Roles of themes a store can publish; development, demo and archived themes are ignored
+const STORE_THEME_ROLES = ["MAIN", "UNPUBLISHED"];
+
+const THEMES_QUERY = `#graphql
+  query storeThemes($filenames: [String!]) {
+    themes(first: 20) {
+      nodes {
+        id
+        name
+        role
+        files(first: 3, filenames: $filenames) {
+          nodes {
+            filename
+            body {
+              ... on OnlineStoreThemeFileBodyText {
+                content
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+// Theme JSON files may start with a comment the theme editor adds
+function parseThemeJson(content) {
+  try {
+    return JSON.parse(String(content || "").replace(/^\s*\/\*[\s\S]*?\*\//, ""));
+  } catch {
+    return null;
+  }
+}
+
+// Theme name and version from the theme_info block of config/settings_schema.json,
+// which survive the merchant renaming or duplicating the theme
+function readThemeInfo(content) {
+  const schema = parseThemeJson(content);
+  return (Array.isArray(schema) && schema.find((section) => section.name === "theme_info")) || {};
+}
+
+// Whether the license gate app embed is switched on in config/settings_data.json, where
+// the theme editor saves app embeds as blocks of type shopify://apps/<app>/blocks/<handle>/<id>
+function readAppEmbed(content) {
+  const blocks = Object.values(parseThemeJson(content)?.current?.blocks || {});
+  const embed = blocks.find((block) => String(block?.type || "").includes(`/blocks/${APP_EMBED_HANDLE}/`));
+
+  if (!embed) {
+    return APP_EMBED_STATUS.MISSING;
+  }
+  return embed.disabled ? APP_EMBED_STATUS.DISABLED : APP_EMBED_STATUS.ENABLED;
+}
+
+/**
+ * The store's published and unpublished themes, with the family and version
+ * they declare, whether they include the license check snippet and whether
+ * the license gate app embed is enabled.
+ */
+export async function fetchStoreThemes(admin) {
+  const response = await admin.graphql(THEMES_QUERY, {
+    variables: { filenames: [SETTINGS_SCHEMA, SETTINGS_DATA, LICENSE_SNIPPET] }
+  });
+  const { data } = await response.json();
+
+  return (data?.themes?.nodes || [])
+    .filter((theme) => STORE_THEME_ROLES.includes(theme.role))
+    .map((theme) => {
+      const files = theme.files?.nodes || [];
+      const schema = files.find((file) => file.filename === SETTINGS_SCHEMA);
+      const settings = files.find((file) => file.filename === SETTINGS_DATA);
+      const info = readThemeInfo(schema?.body?.content);
+      const declaredFamily = normalizeThemeFamily(info.theme_name);
+
+      return {
+        // Numeric ID, as the theme reports it with {{ theme.id }}
+        id: theme.id.split("/").pop(),
+        name: theme.name,
+        role: theme.role,
+        declaredFamily,
+        family: declaredFamily || normalizeThemeFamily(theme.name),
+        version: info.theme_version || null,
+        hasLicenseCheck: files.some((file) => file.filename === LICENSE_SNIPPET),
+        appEmbed: readAppEmbed(settings?.body?.content)
+      };
+    });
+}
+
+/**
+ * Fills in the family and version a storefront did not report from the
+ * theme_info of its theme's config/settings_schema.json. Themes the store does
+ * not have and failed lookups leave the fingerprint as it is.
+ */
+export async function withThemeInfo(domain, fingerprint) {
+  if (!fingerprint.themeId || (fingerprint.themeFamily && fingerprint.themeVersion)) {
+    return fingerprint;
+  }
+
+  try {
+    const { admin } = await unauthenticated.admin(domain);
+    const theme = (await fetchStoreThemes(admin)).find((item) => item.id === fingerprint.themeId);
+
+    return {
+      ...fingerprint,
+      ...(!fingerprint.themeFamily && theme?.declaredFamily ? { themeFamily: theme.declaredFamily } : {}),
+      ...(!fingerprint.themeVersion && theme?.version ? { themeVersion: String(theme.version).slice(0, 255) } : {})
+    };
+  } catch (error) {
+    console.error("Theme info lookup error:", error);
+    return fingerprint;
+  }
+}
+
+// Whether a store theme is the theme a license was sold for. The declared family
+// decides when there is one; renamed copies without theme_info are recognised by
+// the snippet or the enabled app embed.
+function isLicensedTheme(license, theme) {
+  if (license?.themeFamily && theme.declaredFamily) {
+    return familyMatches(license.themeFamily, theme.declaredFamily);
+  }
+  return theme.hasLicenseCheck
+    || theme.appEmbed === APP_EMBED_STATUS.ENABLED
+    || Boolean(license?.themeFamily && familyMatches(license.themeFamily, theme.family));
+}
+
+/**
+ * Compares a store's themes with each of its active licenses: the published
+ * theme becomes the activation's theme when it is the licensed one, and a
+ * warning is stored when an unknown theme is published or the licensed theme
+ * has been duplicated. The state of the published theme's app embed is stored
+ * on every active activation, and the store's metafield is synced when an
+ * activation's theme changed, so the signed license state names the new theme.
+ * Run from the themes/* webhooks, and from the dashboard with the admin as `actor`.
+ * Returns the number of activations whose theme or warning changed.
+ */
+export async function syncStoreThemes(shop, admin, { actorType = ACTOR_TYPES.SYSTEM, actor = "themes webhook" } = {}) {
+  const domain = String(shop || "").toLowerCase();
+  const activations = await prisma.licenseActivation.findMany({
+    where: { domain, isActive: true }
+  });
+
+  if (activations.length === 0) {
+    return 0;
+  }
+
+  const [licenses, themes] = await Promise.all([
+    prisma.license.findMany({
+      where: { licenseKey: { in: activations.map((activation) => activation.licenseKey) } }
+    }),
+    fetchStoreThemes(admin)
+  ]);
+  const published = themes.find((theme) => theme.role === "MAIN");
+  const events = [];
+  let changed = 0;
+  let themeChanged = false;
+
+  for (const activation of activations) {
+    const license = licenses.find((item) => item.licenseKey === activation.licenseKey);
+    const licensedThemes = themes.filter((theme) => isLicensedTheme(license, theme));
+    const data = {};
+    let warning = null;
+
+    if (published && !isLicensedTheme(license, published)) {
+      warning = `Published theme "${published.name}" is not the licensed theme`;
+    } else if (licensedThemes.length > 1) {
+      warning = `Licensed theme is installed ${licensedThemes.length} times: ${licensedThemes.map((theme) => `"${theme.name}"`).join(", ")}`;
+    }
+
+    if (published && isLicensedTheme(license, published) && published.id !== activation.themeId) {
+      Object.assign(data, {
+        themeId: published.id,
+        themeName: published.name,
+        themeFamily: published.family,
+        themeVersion: published.version,
+        // The storefront re-reports on its next check against the new theme
+        themeMismatch: null,
+        themeMismatchAt: null
+      });
+      themeChanged = true;
+      events.push({
+        type: EVENT_TYPES.THEME_CHANGE,
+        licenseKey: activation.licenseKey,
+        domain,
+        message: `Published theme changed to "${published.name}" (${published.id})`
+      });
+    }
+
+    if (warning !== (activation.themeWarning || null)) {
+      data.themeWarning = warning;
+      data.themeWarningAt = warning ? new Date() : null;
+
+      if (warning) {
+        events.push({
+          type: EVENT_TYPES.THEME_CHANGE,
+          licenseKey: activation.licenseKey,
+          domain,
+          message: warning
+        });
+      }
+    }
+
+    if (Object.keys(data).length > 0) {
+      await prisma.licenseActivation.update({
+        where: { id: activation.id },
+        data
+      });
+      changed++;
+    }
+  }
+
+  if (events.length > 0) {
+    await recordLicenseEvents(events, { actorType, actor });
+  }
+
+  await prisma.licenseActivation.updateMany({
+    where: { id: { in: activations.map((activation) => activation.id) } },
+    data: { appEmbed: published?.appEmbed ?? null, appEmbedCheckedAt: new Date() }
+  });
+
+  if (themeChanged) {
+    await syncActivationMetafield(domain);
+  }
+
+  return changed;
+}
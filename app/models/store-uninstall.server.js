@@ -0,0 +1,167 @@
+import prisma from "../db.server";
+import { ACTOR_TYPES, EVENT_TYPES, recordLicenseEvents } from "./license-event.server";
+import { refreshLicenseState } from "./license.server";
+
+// What happens to a store's activations after it uninstalls the app. The uninstall
+// webhook always marks them suspended; the policy decides what that means:
+//   "keep"    - the theme keeps working and the seats stay taken; the suspension is only shown in the dashboard
+//   "suspend" - the theme locks until the app is reinstalled; the seats stay taken (default)
+//   "release" - the theme locks, and the uninstall-policy job frees the seats once the
+//               store has been gone for UNINSTALL_RELEASE_DAYS (default 30)
+export const UNINSTALL_POLICIES = {
+  KEEP: "keep",
+  SUSPEND: "suspend",
+  RELEASE: "release"
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getUninstallPolicy() {
+  const policy = process.env.UNINSTALL_POLICY || UNINSTALL_POLICIES.SUSPEND;
+
+  if (!Object.values(UNINSTALL_POLICIES).includes(policy)) {
+    throw new Error(`Unknown UNINSTALL_POLICY "${policy}"`);
+  }
+
+  return policy;
+}
+
+export function getReleaseDays() {
+  const days = parseInt(process.env.UNINSTALL_RELEASE_DAYS, 10);
+  return days >= 0 ? days : 30;
+}
+
+// Activations created before suspensions existed have no suspendedAt field at all
+const notSuspended = {
+  OR: [{ suspendedAt: null }, { suspendedAt: { isSet: false } }]
+};
+
+/**
+ * Whether an activation is suspended in a way that locks the theme.
+ */
+export function isSuspended(activation) {
+  return Boolean(activation?.suspendedAt) && getUninstallPolicy() !== UNINSTALL_POLICIES.KEEP;
+}
+
+function describeSuspension(policy) {
+  if (policy === UNINSTALL_POLICIES.KEEP) {
+    return "App uninstalled. The theme stays unlocked (uninstall policy: keep).";
+  }
+  if (policy === UNINSTALL_POLICIES.RELEASE) {
+    return `App uninstalled. The theme is locked and the seat is released after ${getReleaseDays()} days unless the app is reinstalled.`;
+  }
+  return "App uninstalled. The theme is locked until the app is reinstalled.";
+}
+
+/**
+ * Marks a store's active activations as suspended after it uninstalled the app.
+ * Safe to call more than once; Shopify can deliver the webhook repeatedly.
+ * Returns the number of activations suspended.
+ */
+export async function suspendStoreActivations(shop, { request } = {}) {
+  const domain = String(shop || "").toLowerCase();
+  const activations = await prisma.licenseActivation.findMany({
+    where: { domain, isActive: true, ...notSuspended }
+  });
+
+  if (activations.length === 0) {
+    return 0;
+  }
+
+  await prisma.licenseActivation.updateMany({
+    where: { id: { in: activations.map((activation) => activation.id) } },
+    data: { suspendedAt: new Date() }
+  });
+
+  const message = describeSuspension(getUninstallPolicy());
+
+  await recordLicenseEvents(
+    activations.map((activation) => ({
+      type: EVENT_TYPES.SUSPEND,
+      licenseKey: activation.licenseKey,
+      domain,
+      message
+    })),
+    { actorType: ACTOR_TYPES.SYSTEM, actor: "app/uninstalled webhook", request }
+  );
+
+  return activations.length;
+}
+
+/**
+ * Lifts the suspension of a store's activations once it installs the app again.
+ * Seats that were already released stay released.
+ */
+export async function resumeStoreActivations(shop) {
+  const domain = String(shop || "").toLowerCase();
+  const activations = await prisma.licenseActivation.findMany({
+    where: { domain, isActive: true, suspendedAt: { not: null } }
+  });
+
+  if (activations.length === 0) {
+    return 0;
+  }
+
+  await prisma.licenseActivation.updateMany({
+    where: { id: { in: activations.map((activation) => activation.id) } },
+    data: { suspendedAt: null }
+  });
+
+  await recordLicenseEvents(
+    activations.map((activation) => ({
+      type: EVENT_TYPES.RESUME,
+      licenseKey: activation.licenseKey,
+      domain,
+      message: "App reinstalled"
+    })),
+    { actorType: ACTOR_TYPES.SYSTEM, actor: "app install" }
+  );
+
+  return activations.length;
+}
+
+/**
+ * Scheduled job for the "release" policy: frees the seats of stores that
+ * uninstalled the app more than UNINSTALL_RELEASE_DAYS ago. The activations
+ * are switched off, not deleted, so the history survives.
+ */
+export async function releaseSuspendedActivations(now = new Date()) {
+  const policy = getUninstallPolicy();
+
+  if (policy !== UNINSTALL_POLICIES.RELEASE) {
+    return { policy, released: 0 };
+  }
+
+  const days = getReleaseDays();
+  const where = {
+    isActive: true,
+    suspendedAt: { lte: new Date(now.getTime() - days * DAY_MS) }
+  };
+  const activations = await prisma.licenseActivation.findMany({ where });
+
+  if (activations.length === 0) {
+    return { policy, released: 0 };
+  }
+
+  // Re-check the suspension in the update, in case a store reinstalled in the meantime
+  const { count } = await prisma.licenseActivation.updateMany({
+    where: { ...where, id: { in: activations.map((activation) => activation.id) } },
+    data: { isActive: false }
+  });
+
+  for (const licenseKey of new Set(activations.map((activation) => activation.licenseKey))) {
+    await refreshLicenseState(licenseKey);
+  }
+
+  await recordLicenseEvents(
+    activations.map((activation) => ({
+      type: EVENT_TYPES.RELEASE,
+      licenseKey: activation.licenseKey,
+      domain: activation.domain,
+      message: `Seat released ${days} days after the app was uninstalled`
+    })),
+    { actorType: ACTOR_TYPES.SYSTEM, actor: "uninstall-policy job" }
+  );
+
+  return { policy, released: count };
+}
@@ -0,0 +1,211 @@
+import prisma from "../db.server";
+import { verifyPurchasedKey } from "./key-source.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  recordLicenseEvent,
+  snapshotLicense
+} from "./license-event.server";
+import { storefrontTransfersEnabled } from "./license-transfer.server";
+import {
+  activateDomain,
+  describeSeatLimit,
+  getLicenseStatus
+} from "./license.server";
+import {
+  clearFailedActivations,
+  getDomainLockout,
+  limitActivationRequest,
+  recordFailedActivation
+} from "./rate-limit.server";
+import { detectStoreEnvironment } from "./store-environment.server";
+import { syncActivationMetafield } from "./store-metafield.server";
+import { verifyStoreOwnership } from "./store-ownership.server";
+import { withThemeInfo } from "./store-themes.server";
+import { compareThemeFingerprint, normalizeThemeFamily } from "./theme-fingerprint.server";
+
+const MAX_KEY_LENGTH = 100;
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+/**
+ * Turns what customers paste as their store, e.g. "https://My-Shop.myshopify.com/admin"
+ * or just "my-shop", into its myshopify.com domain.
+ */
+export function normalizeShopDomain(value) {
+  const domain = String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/[/?#].*$/, "")
+    .replace(/\.+$/, "");
+
+  return domain && !domain.includes(".") ? `${domain}.myshopify.com` : domain;
+}
+
+/**
+ * Checks the activation form. Returns the cleaned-up { licenseKey, domain }
+ * and a message per invalid field in `errors`, which is empty when both are valid.
+ */
+export function validateActivationInput({ licenseKey, domain }) {
+  const values = {
+    licenseKey: String(licenseKey || "").trim(),
+    domain: normalizeShopDomain(domain)
+  };
+  const errors = {};
+
+  if (!values.licenseKey) {
+    errors.licenseKey = "Enter the license key from your purchase email";
+  } else if (/\s/.test(values.licenseKey) || values.licenseKey.length > MAX_KEY_LENGTH) {
+    errors.licenseKey = "License keys are a single word without spaces, like TL-XXXXXXXX-XXXXXXXX";
+  }
+
+  if (!values.domain) {
+    errors.domain = "Enter your store's myshopify.com domain";
+  } else if (!SHOP_DOMAIN_PATTERN.test(values.domain)) {
+    errors.domain = "Use your store's myshopify.com domain, e.g. your-shop.myshopify.com. Custom domains are not accepted.";
+  }
+
+  return { ...values, errors };
+}
+
+/**
+ * Activates a license on a store for a customer, from the theme or the
+ * activation page. Attempts are throttled, the store must have installed the
+ * app and the key must have been sold; every rejected attempt counts towards
+ * the domain lockout and is recorded in the audit trail.
+ * Returns { success: true, activation, seats } or { success: false, error, status }
+ * with `retryAfter` when rate limited, `installUrl` when the app is missing and
+ * `transferFrom` when the license could be moved from one of its stores.
+ */
+export async function activateStorefrontLicense({ licenseKey, domain, fingerprint = {}, request }) {
+  // Throttle before any lookups so bots cannot enumerate keys or spam-create licenses
+  const rateLimit = await limitActivationRequest(request, { domain, licenseKey });
+
+  if (rateLimit.limited) {
+    return { success: false, status: 429, error: "Too many requests. Please try again later.", retryAfter: rateLimit.retryAfter };
+  }
+
+  const lockout = await getDomainLockout(domain, request);
+
+  if (lockout.locked) {
+    return {
+      success: false,
+      status: 429,
+      error: `Too many failed activation attempts for this store. Please try again in ${Math.ceil(lockout.retryAfter / 60)} minutes.`,
+      retryAfter: lockout.retryAfter
+    };
+  }
+
+  const audit = (event) => recordLicenseEvent({
+    licenseKey,
+    domain,
+    actorType: ACTOR_TYPES.STOREFRONT,
+    request,
+    ...event
+  });
+
+  // Every rejected attempt counts towards the domain lockout
+  const reject = async (error, message = error, details = {}) => {
+    const { locked } = await recordFailedActivation(domain, request);
+
+    await audit({
+      type: EVENT_TYPES.ACTIVATE_FAILED,
+      message: locked ? `${message} - store locked out after repeated failures` : message
+    });
+
+    return { success: false, status: 200, error, ...details };
+  };
+
+  // The submitted domain is only trusted once the store has proven it installed the app
+  const ownership = await verifyStoreOwnership(domain);
+
+  if (!ownership.verified) {
+    await audit({ type: EVENT_TYPES.ACTIVATE_FAILED, message: "Store ownership not proven" });
+    return { success: false, status: 403, error: ownership.error, installUrl: ownership.installUrl };
+  }
+
+  // Only keys that were actually sold (and not refunded) can be activated
+  const purchase = await verifyPurchasedKey(licenseKey);
+
+  if (!purchase.valid) {
+    return reject(purchase.error);
+  }
+
+  // First activation creates the license record, sized by the purchased seat count
+  let license = await prisma.license.findUnique({
+    where: { licenseKey }
+  });
+
+  if (!license) {
+    license = await prisma.license.create({
+      data: {
+        licenseKey,
+        maxActivations: purchase.purchase?.maxActivations ?? 1,
+        term: purchase.purchase?.term ?? "lifetime",
+        themeFamily: normalizeThemeFamily(purchase.purchase?.productName),
+        orderId: purchase.purchase?.orderId,
+        customerEmail: purchase.purchase?.customerEmail,
+        productName: purchase.purchase?.productName,
+        purchasedAt: purchase.purchase?.purchasedAt
+      }
+    });
+    await audit({ type: EVENT_TYPES.CREATE, after: await snapshotLicense(licenseKey) });
+  }
+
+  if (license.deletedAt) {
+    return reject("This license key has been deactivated. Please contact support.", "License is in the trash");
+  }
+
+  const { status, expiresAt } = getLicenseStatus(license);
+
+  if (status === "expired") {
+    return reject(
+      `This license expired on ${expiresAt.toISOString().slice(0, 10)}. Please renew it to activate your theme.`,
+      "License expired"
+    );
+  }
+
+  // Themes that do not report their family and version are read from their theme_info
+  const themeFingerprint = await withThemeInfo(domain, fingerprint);
+
+  // Licenses sold for one theme cannot unlock another when enforcement is on
+  const theme = compareThemeFingerprint({ license, fingerprint: themeFingerprint });
+
+  if (theme.enforced) {
+    return reject("This license was sold for a different theme.", theme.mismatch);
+  }
+
+  // Development and staging stores get a separate, non-counting allowance
+  const environment = await detectStoreEnvironment(domain);
+
+  // Activates only if the license still has a free seat for this domain
+  const before = await snapshotLicense(licenseKey);
+  const { activation, seats } = await activateDomain(license, domain, { ...themeFingerprint, environment });
+
+  if (!activation) {
+    // Offer to move the license here from one of its current stores
+    const transferFrom = storefrontTransfersEnabled() ? seats.activeDomains : undefined;
+
+    return reject(seats.error, describeSeatLimit(seats), { transferFrom });
+  }
+
+  await audit({ type: EVENT_TYPES.ACTIVATE, before, after: await snapshotLicense(licenseKey) });
+  await clearFailedActivations(domain, request);
+
+  // Failed metafield writes are retried by the metafield-sync job; customers are not told about them
+  await syncActivationMetafield(domain);
+
+  return {
+    success: true,
+    activation: {
+      licenseKey,
+      domain,
+      activatedAt: activation.activatedAt,
+      environment: activation.environment
+    },
+    seats: {
+      used: seats.alreadyActive ? seats.used : seats.used + 1,
+      max: seats.max
+    }
+  };
+}
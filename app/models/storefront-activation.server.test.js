@@ -0,0 +1,26 @@
+import { describe, expect, it, vi } from "vitest";
+import { normalizeShopDomain } from "./storefront-activation.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+vi.mock("../shopify.server", () => ({ unauthenticated: {} }));
+
+describe("normalizeShopDomain", () => {
+  it("strips the scheme, path, query and trailing dots", () => {
+    expect(normalizeShopDomain("https://My-Shop.myshopify.com/admin?x=1")).toBe("my-shop.myshopify.com");
+    expect(normalizeShopDomain("my-shop.myshopify.com.")).toBe("my-shop.myshopify.com");
+    expect(normalizeShopDomain("  MY-SHOP.myshopify.com#top ")).toBe("my-shop.myshopify.com");
+  });
+
+  it("completes a bare store handle", () => {
+    expect(normalizeShopDomain("my-shop")).toBe("my-shop.myshopify.com");
+  });
+
+  it("keeps other domains as entered, for validation to reject", () => {
+    expect(normalizeShopDomain("shop.example.com")).toBe("shop.example.com");
+  });
+
+  it("returns an empty string for empty input", () => {
+    expect(normalizeShopDomain("")).toBe("");
+    expect(normalizeShopDomain(undefined)).toBe("");
+  });
+});
@@ -0,0 +1,148 @@
+import prisma from "../db.server";
+import { ACTOR_TYPES, EVENT_TYPES, recordLicenseEvent } from "./license-event.server";
+
+// What /api/license/check does when the reporting theme does not match the license:
+//   "off"    - record and report the mismatch, keep the theme unlocked (default)
+//   "family" - lock themes whose family differs from the one the license was sold for
+//   "theme"  - also lock themes other than the one the domain was activated with
+export const FINGERPRINT_ENFORCEMENT = {
+  OFF: "off",
+  FAMILY: "family",
+  THEME: "theme"
+};
+
+export const THEME_FINGERPRINT_FIELDS = ["themeId", "themeName", "themeFamily", "themeVersion"];
+
+export function getFingerprintEnforcement() {
+  const mode = process.env.THEME_FINGERPRINT_ENFORCEMENT || FINGERPRINT_ENFORCEMENT.OFF;
+
+  if (!Object.values(FINGERPRINT_ENFORCEMENT).includes(mode)) {
+    throw new Error(`Unknown THEME_FINGERPRINT_ENFORCEMENT "${mode}"`);
+  }
+
+  return mode;
+}
+
+/**
+ * Slug used to compare theme families, e.g. "Aurora Theme" -> "aurora-theme".
+ */
+export function normalizeThemeFamily(value) {
+  const slug = String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return slug || null;
+}
+
+/**
+ * Reads the fingerprint the theme snippet sends from FormData or URLSearchParams.
+ * Fields the theme did not send are left undefined so older snippets change nothing.
+ */
+export function readThemeFingerprint(params) {
+  const fingerprint = {};
+
+  for (const field of THEME_FINGERPRINT_FIELDS) {
+    const value = params.get(field);
+    if (value !== null && String(value).trim()) {
+      fingerprint[field] = String(value).trim().slice(0, 255);
+    }
+  }
+
+  if (fingerprint.themeFamily) {
+    fingerprint.themeFamily = normalizeThemeFamily(fingerprint.themeFamily);
+  }
+
+  return fingerprint;
+}
+
+/**
+ * Fills in the family and version a theme did not report from its activation,
+ * which has them from the theme's theme_info when it is the activated theme.
+ */
+export function withActivationThemeInfo(fingerprint, activation) {
+  if (!fingerprint.themeId || fingerprint.themeId !== activation?.themeId) {
+    return fingerprint;
+  }
+
+  return {
+    ...(activation.themeFamily ? { themeFamily: activation.themeFamily } : {}),
+    ...(activation.themeVersion ? { themeVersion: activation.themeVersion } : {}),
+    ...fingerprint
+  };
+}
+
+/**
+ * Whether a theme family is covered by the licensed one. A license sold as
+ * "Aurora Theme - Agency" covers the "aurora" family.
+ */
+export function familyMatches(licensedFamily, themeFamily) {
+  return licensedFamily === themeFamily || licensedFamily.startsWith(`${themeFamily}-`);
+}
+
+/**
+ * Compares a reported fingerprint with the license and its activation.
+ * Returns { mismatch: null } or { mismatch: "reason", enforced } where
+ * `enforced` says whether the current enforcement mode locks the theme.
+ */
+export function compareThemeFingerprint({ license, activation, fingerprint }) {
+  const mode = getFingerprintEnforcement();
+
+  if (license?.themeFamily && fingerprint.themeFamily && !familyMatches(license.themeFamily, fingerprint.themeFamily)) {
+    return {
+      mismatch: `Theme family "${fingerprint.themeFamily}" does not match the licensed "${license.themeFamily}"`,
+      enforced: mode !== FINGERPRINT_ENFORCEMENT.OFF
+    };
+  }
+
+  if (activation?.themeId && fingerprint.themeId && activation.themeId !== fingerprint.themeId) {
+    return {
+      mismatch: `Theme ${fingerprint.themeId} is not the activated theme ${activation.themeId}`,
+      enforced: mode === FINGERPRINT_ENFORCEMENT.THEME
+    };
+  }
+
+  return { mismatch: null, enforced: false };
+}
+
+/**
+ * Stores the latest fingerprint and mismatch on an activation. Only writes
+ * when something changed, since themes report on every uncached page load.
+ */
+export async function recordThemeFingerprint({ activation, fingerprint, mismatch, request }) {
+  const data = {};
+
+  for (const field of THEME_FINGERPRINT_FIELDS) {
+    // The activated theme ID is the reference for "theme" enforcement, so only fill it in
+    const keepActivatedTheme = field === "themeId" && activation.themeId;
+
+    if (fingerprint[field] !== undefined && fingerprint[field] !== activation[field] && !keepActivatedTheme) {
+      data[field] = fingerprint[field];
+    }
+  }
+
+  if ((mismatch || null) !== (activation.themeMismatch || null)) {
+    data.themeMismatch = mismatch || null;
+    data.themeMismatchAt = mismatch ? new Date() : null;
+
+    if (mismatch) {
+      await recordLicenseEvent({
+        type: EVENT_TYPES.THEME_MISMATCH,
+        licenseKey: activation.licenseKey,
+        domain: activation.domain,
+        actorType: ACTOR_TYPES.STOREFRONT,
+        request,
+        message: mismatch
+      });
+    }
+  }
+
+  if (Object.keys(data).length === 0) {
+    return activation;
+  }
+
+  return prisma.licenseActivation.update({
+    where: { id: activation.id },
+    data
+  });
+}
@@ -0,0 +1,71 @@
+import clientSource from "../assets/license-client.js?raw";
+import snippetSource from "../../theme-license-check.liquid?raw";
+import { getPublicJwks } from "./license-token.server";
+import { getAppUrl } from "./store-ownership.server";
+
+// Stand in for the app's URL and ID in the snippet and the client, and for the
+// token verification keys in the client, until they are served
+const APP_URL_PLACEHOLDER = "__LICENSE_APP_URL__";
+const APP_ID_PLACEHOLDER = "__LICENSE_APP_ID__";
+const PUBLIC_KEYS_PLACEHOLDER = "__LICENSE_PUBLIC_KEYS__";
+
+// Any placeholder of that form, so a new one without a value is never served as is
+const PLACEHOLDER_PATTERN = /__LICENSE_[A-Z_]+__/;
+
+/**
+ * The app's numeric ID (SHOPIFY_APP_ID), which names its reserved metafield
+ * namespace in Liquid: app--<id>--theme_license.
+ */
+export function getAppId() {
+  return process.env.SHOPIFY_APP_ID || "";
+}
+
+/**
+ * Fills in each placeholder with its value. Fails, naming the environment
+ * variables to set, while a value is missing or a placeholder is left over.
+ */
+function fillPlaceholders(source, values) {
+  const missing = values.filter(({ value }) => !value).map(({ setting }) => setting);
+
+  if (missing.length > 0) {
+    return { success: false, error: `Set ${missing.join(" and ")} to serve the theme license files` };
+  }
+
+  const filled = values.reduce(
+    (result, { placeholder, value }) => result.split(placeholder).join(value),
+    source
+  );
+  const leftover = filled.match(PLACEHOLDER_PATTERN);
+
+  if (leftover) {
+    return { success: false, error: `No value for ${leftover[0]} in the theme license files` };
+  }
+
+  return { success: true, source: filled };
+}
+
+/**
+ * The theme license client script, pointed at this app and pinned to its token
+ * verification keys. The keys go into a single-quoted string, which their JSON
+ * (base64url values only) never needs escaping in. Without LICENSE_SIGNING_KEY
+ * the server signs with an ephemeral key, which the client must not be pinned to.
+ */
+export function renderLicenseClient() {
+  const publicKeys = process.env.LICENSE_SIGNING_KEY ? JSON.stringify(getPublicJwks().keys) : "";
+
+  return fillPlaceholders(clientSource, [
+    { placeholder: APP_URL_PLACEHOLDER, value: getAppUrl(), setting: "SHOPIFY_APP_URL" },
+    { placeholder: PUBLIC_KEYS_PLACEHOLDER, value: publicKeys, setting: "LICENSE_SIGNING_KEY" }
+  ]);
+}
+
+/**
+ * snippets/license-check.liquid, reading this app's license state and loading
+ * the client from this app.
+ */
+export function renderLicenseSnippet() {
+  return fillPlaceholders(snippetSource, [
+    { placeholder: APP_URL_PLACEHOLDER, value: getAppUrl(), setting: "SHOPIFY_APP_URL" },
+    { placeholder: APP_ID_PLACEHOLDER, value: getAppId(), setting: "SHOPIFY_APP_ID" }
+  ]);
+}
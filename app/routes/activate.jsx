@@ -1,57 +1,231 @@
-import { useState } from "react";
+import { json } from "@remix-run/node";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import { rateLimitedResponse } from "../models/rate-limit.server";
+import {
+  activateStorefrontLicense,
+  normalizeShopDomain,
+  validateActivationInput
+} from "../models/storefront-activation.server";
 
-// This route only handles the UI - API logic moved to /api/activate
+// Activation page for customers. Works without JavaScript; purchase emails can
+// link to /activate?key=<license key>&domain=<shop> to fill in the form.
 
-export default function ActivatePage() {
-  const [licenseKey, setLicenseKey] = useState("");
-  const [domain, setDomain] = useState("");
-  const [isActivating, setIsActivating] = useState(false);
+export const meta = () => [{ title: "Theme License Activation" }];
+
+export async function loader({ request }) {
+  const url = new URL(request.url);
+
+  return json({
+    licenseKey: (url.searchParams.get("key") || "").trim(),
+    domain: normalizeShopDomain(url.searchParams.get("domain"))
+  });
+}
+
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const formData = await request.formData();
+  const { licenseKey, domain, errors } = validateActivationInput({
+    licenseKey: formData.get("licenseKey"),
+    domain: formData.get("domain")
+  });
+  const fields = { licenseKey, domain };
 
-  const handleActivation = async () => {
-    if (!licenseKey || !domain) {
-      return;
+  if (Object.keys(errors).length > 0) {
+    return json({ success: false, fields, errors }, { status: 400 });
+  }
+
+  try {
+    const result = await activateStorefrontLicense({ licenseKey, domain, request });
+
+    if (result.retryAfter) {
+      return rateLimitedResponse(result, { error: result.error, fields });
     }
 
-    setIsActivating(true);
-
-    try {
-      const formData = new FormData();
-      formData.append("licenseKey", licenseKey);
-      formData.append("domain", domain);
-
-      const response = await fetch("/api/activate", {
-        method: "POST",
-        body: formData,
-        headers: {
-          "Accept": "application/json"
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const result = await response.json();
-      
-      if (result.success) {
-        setLicenseKey("");
-        setDomain("");
-        // Show success message
-        alert("License activated successfully! You can now refresh your theme.");
-      } else {
-        alert(`Error: ${result.error}`);
-      }
-    } catch (error) {
-      console.error("Error:", error);
-      alert("An error occurred. Please try again.");
-    } finally {
-      setIsActivating(false);
+    if (!result.success) {
+      return json({
+        success: false,
+        fields,
+        error: result.error,
+        installUrl: result.installUrl,
+        transferFrom: result.transferFrom
+      }, { status: result.status });
     }
-  };
 
+    return json({ success: true, fields, activation: result.activation, seats: result.seats });
+  } catch (error) {
+    console.error("License activation error:", error);
+    return json(
+      { success: false, fields, error: "Something went wrong. Please try again later." },
+      { status: 500 }
+    );
+  }
+}
+
+const labelStyle = {
+  display: "block",
+  fontSize: "14px",
+  fontWeight: "500",
+  color: "#333",
+  marginBottom: "8px"
+};
+
+const inputStyle = (invalid) => ({
+  width: "100%",
+  padding: "12px",
+  border: `1px solid ${invalid ? "#b3261e" : "#ddd"}`,
+  borderRadius: "6px",
+  fontSize: "16px",
+  boxSizing: "border-box"
+});
+
+const hintStyle = {
+  fontSize: "12px",
+  color: "#666",
+  margin: "4px 0 0 0"
+};
+
+const fieldErrorStyle = {
+  ...hintStyle,
+  color: "#b3261e"
+};
+
+const buttonStyle = {
+  display: "inline-block",
+  background: "#007bff",
+  color: "white",
+  border: "none",
+  padding: "14px 28px",
+  borderRadius: "6px",
+  fontSize: "16px",
+  fontWeight: "500",
+  cursor: "pointer",
+  textDecoration: "none"
+};
+
+function ActivationForm({ defaults, actionData, isSubmitting }) {
+  const errors = actionData?.errors || {};
+
+  return (
+    <>
+      {actionData?.error && (
+        <div role="alert" style={{ background: "#fdecea", color: "#b3261e", fontSize: "14px", padding: "12px", borderRadius: "6px", marginBottom: "20px" }}>
+          <p style={{ margin: "0" }}>{actionData.error}</p>
+          {actionData.installUrl && (
+            <p style={{ margin: "8px 0 0 0" }}>
+              <a href={actionData.installUrl} style={{ color: "#b3261e", fontWeight: "600" }}>
+                Install the Theme License app on {actionData.fields.domain}
+              </a>
+              , then activate again.
+            </p>
+          )}
+          {actionData.transferFrom?.length > 0 && (
+            <p style={{ margin: "8px 0 0 0" }}>
+              It is active on {actionData.transferFrom.join(", ")}. To use it here, deactivate it on one of those
+              stores in the <a href="/portal" style={{ color: "#b3261e", fontWeight: "600" }}>license portal</a>.
+            </p>
+          )}
+        </div>
+      )}
+
+      <Form method="post" noValidate>
+        <div style={{ marginBottom: "20px" }}>
+          <label htmlFor="activate-license-key" style={labelStyle}>License Key</label>
+          <input
+            id="activate-license-key"
+            name="licenseKey"
+            type="text"
+            defaultValue={defaults.licenseKey}
+            placeholder="TL-XXXXXXXX-XXXXXXXX"
+            autoComplete="off"
+            spellCheck={false}
+            aria-invalid={Boolean(errors.licenseKey)}
+            aria-describedby="activate-license-key-hint"
+            style={inputStyle(errors.licenseKey)}
+            required
+          />
+          <p id="activate-license-key-hint" style={errors.licenseKey ? fieldErrorStyle : hintStyle}>
+            {errors.licenseKey || "Enter the license key provided with your theme"}
+          </p>
+        </div>
+
+        <div style={{ marginBottom: "30px" }}>
+          <label htmlFor="activate-domain" style={labelStyle}>Your Shop Domain</label>
+          <input
+            id="activate-domain"
+            name="domain"
+            type="text"
+            defaultValue={defaults.domain}
+            placeholder="your-shop.myshopify.com"
+            autoComplete="off"
+            autoCapitalize="none"
+            spellCheck={false}
+            aria-invalid={Boolean(errors.domain)}
+            aria-describedby="activate-domain-hint"
+            style={inputStyle(errors.domain)}
+            required
+          />
+          <p id="activate-domain-hint" style={errors.domain ? fieldErrorStyle : hintStyle}>
+            {errors.domain || "Your myshopify.com domain, shown under Settings → Domains in your Shopify admin"}
+          </p>
+        </div>
+
+        <div style={{ textAlign: "center" }}>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            style={{ ...buttonStyle, opacity: isSubmitting ? 0.6 : 1 }}
+          >
+            {isSubmitting ? "Activating..." : "Activate License"}
+          </button>
+        </div>
+      </Form>
+    </>
+  );
+}
+
+function ActivationSuccess({ activation, seats }) {
   return (
-    <div style={{ 
-      minHeight: "100vh", 
+    <div role="status">
+      <p style={{ fontSize: "16px", color: "#1e7e34", fontWeight: "600", textAlign: "center", margin: "0 0 20px 0" }}>
+        ✅ Your license is active on {activation.domain}
+      </p>
+
+      <h2 style={{ fontSize: "18px", fontWeight: "600", color: "#333", margin: "0 0 12px 0" }}>Next steps</h2>
+      <ol style={{ fontSize: "14px", color: "#333", lineHeight: "1.6", paddingLeft: "20px", margin: "0 0 20px 0" }}>
+        <li>Go back to your theme preview, or open your store.</li>
+        <li>Refresh the page. The activation notice disappears and the theme is fully unlocked.</li>
+        <li>Keep the Theme License app installed while you use the theme.</li>
+      </ol>
+
+      {activation.environment === "development" ? (
+        <p style={hintStyle}>This is a development store, so it does not use one of your license&apos;s seats.</p>
+      ) : (
+        <p style={hintStyle}>{seats.used} of {seats.max} {seats.max === 1 ? "store" : "stores"} used on this license.</p>
+      )}
+      <p style={{ ...hintStyle, marginBottom: "30px" }}>
+        You can see and manage the stores your license is active on in the{" "}
+        <a href="/portal" style={{ color: "#007bff" }}>license portal</a>.
+      </p>
+
+      <div style={{ textAlign: "center" }}>
+        <a href={`https://${activation.domain}`} style={buttonStyle}>Open {activation.domain}</a>
+      </div>
+    </div>
+  );
+}
+
+export default function ActivatePage() {
+  const loaderData = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+
+  return (
+    <div style={{
+      minHeight: "100vh",
       background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
       display: "flex",
       alignItems: "center",
@@ -67,121 +241,42 @@ export default function ActivatePage() {
           boxShadow: "0 20px 40px rgba(0, 0, 0, 0.1)"
         }}>
           <div style={{ textAlign: "center", marginBottom: "30px" }}>
-            <h1 style={{ 
-              fontSize: "28px", 
-              fontWeight: "600", 
-              color: "#333", 
-              margin: "0 0 10px 0" 
+            <h1 style={{
+              fontSize: "28px",
+              fontWeight: "600",
+              color: "#333",
+              margin: "0 0 10px 0"
             }}>
               🔐 Theme License Activation
             </h1>
-            <p style={{ 
-              fontSize: "16px", 
-              color: "#666", 
-              margin: "0" 
+            <p style={{
+              fontSize: "16px",
+              color: "#666",
+              margin: "0"
             }}>
               Activate your premium theme license to unlock all features
             </p>
           </div>
 
-
-          <form onSubmit={(e) => { e.preventDefault(); handleActivation(); }} method="post">
-            <div style={{ marginBottom: "20px" }}>
-              <label style={{ 
-                display: "block", 
-                fontSize: "14px", 
-                fontWeight: "500", 
-                color: "#333", 
-                marginBottom: "8px" 
-              }}>
-                License Key
-              </label>
-              <input
-                type="text"
-                value={licenseKey}
-                onChange={(e) => setLicenseKey(e.target.value)}
-                placeholder="TL-XXXXXXXX-XXXXXXXX"
-                style={{
-                  width: "100%",
-                  padding: "12px",
-                  border: "1px solid #ddd",
-                  borderRadius: "6px",
-                  fontSize: "16px",
-                  boxSizing: "border-box"
-                }}
-                required
-              />
-              <p style={{ 
-                fontSize: "12px", 
-                color: "#666", 
-                margin: "4px 0 0 0" 
-              }}>
-                Enter the license key provided with your theme
-              </p>
-            </div>
-            
-            <div style={{ marginBottom: "30px" }}>
-              <label style={{ 
-                display: "block", 
-                fontSize: "14px", 
-                fontWeight: "500", 
-                color: "#333", 
-                marginBottom: "8px" 
-              }}>
-                Your Shop Domain
-              </label>
-              <input
-                type="text"
-                value={domain}
-                onChange={(e) => setDomain(e.target.value)}
-                placeholder="your-shop.myshopify.com"
-                style={{
-                  width: "100%",
-                  padding: "12px",
-                  border: "1px solid #ddd",
-                  borderRadius: "6px",
-                  fontSize: "16px",
-                  boxSizing: "border-box"
-                }}
-                required
-              />
-              <p style={{ 
-                fontSize: "12px", 
-                color: "#666", 
-                margin: "4px 0 0 0" 
-              }}>
-                Enter your complete Shopify domain (including .myshopify.com)
-              </p>
-            </div>
-            
-            <div style={{ textAlign: "center", marginBottom: "30px" }}>
-              <button
-                type="submit"
-                disabled={!licenseKey || !domain || isActivating}
-                style={{
-                  background: "#007bff",
-                  color: "white",
-                  border: "none",
-                  padding: "14px 28px",
-                  borderRadius: "6px",
-                  fontSize: "16px",
-                  fontWeight: "500",
-                  cursor: "pointer",
-                  opacity: (!licenseKey || !domain || isActivating) ? 0.6 : 1
-                }}
-              >
-                {isActivating ? "Activating..." : "Activate License"}
-              </button>
-            </div>
-          </form>
+          {actionData?.success ? (
+            <ActivationSuccess activation={actionData.activation} seats={actionData.seats} />
+          ) : (
+            <ActivationForm
+              // Remount after each attempt so the fields show the cleaned-up values
+              key={actionData ? JSON.stringify(actionData.fields) : "prefill"}
+              defaults={actionData?.fields || loaderData}
+              actionData={actionData}
+              isSubmitting={isSubmitting}
+            />
+          )}
 
           <hr style={{ border: "none", borderTop: "1px solid #eee", margin: "30px 0" }} />
 
           <div style={{ textAlign: "center" }}>
-            <p style={{ 
-              fontSize: "14px", 
-              color: "#666", 
-              margin: "0" 
+            <p style={{
+              fontSize: "14px",
+              color: "#666",
+              margin: "0"
             }}>
               Need help? Contact support at{" "}
               <a href="mailto:support@yourthemestore.com" style={{ color: "#007bff" }}>
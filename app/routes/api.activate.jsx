@@ -1,5 +1,7 @@
 import { json } from "@remix-run/node";
-import prisma from "../db.server";
+import { rateLimitedResponse } from "../models/rate-limit.server";
+import { activateStorefrontLicense } from "../models/storefront-activation.server";
+import { readThemeFingerprint } from "../models/theme-fingerprint.server";
 
 export async function action({ request }) {
   if (request.method !== "POST") {
@@ -10,12 +12,13 @@ export async function action({ request }) {
     const formData = await request.formData();
     const licenseKey = formData.get("licenseKey");
     const domain = formData.get("domain");
+    const fingerprint = readThemeFingerprint(formData);
 
     if (!licenseKey || !domain) {
       return json(
-        { 
-          success: false, 
-          error: "License key and domain are required" 
+        {
+          success: false,
+          error: "License key and domain are required"
         },
         { status: 400 }
       );
@@ -29,65 +32,34 @@ export async function action({ request }) {
       });
     }
 
-    // Check if license key already exists in the system
-    const existingLicense = await prisma.license.findUnique({
-      where: { licenseKey }
-    });
+    const result = await activateStorefrontLicense({ licenseKey, domain, fingerprint, request });
 
-    if (existingLicense) {
-      return json({
-        success: false,
-        error: "This license key already exists. Please enter a unique license key."
-      });
+    if (result.retryAfter) {
+      return rateLimitedResponse(result, { error: result.error });
     }
 
-    // Check if license key already exists in activations
-    const existingActivation = await prisma.licenseActivation.findFirst({
-      where: { licenseKey }
-    });
-
-    if (existingActivation) {
+    if (!result.success) {
       return json({
         success: false,
-        error: "This license key already exists. Please enter a unique license key."
-      });
+        error: result.error,
+        installUrl: result.installUrl,
+        transferFrom: result.transferFrom
+      }, { status: result.status });
     }
 
-    // Create new license record
-    const license = await prisma.license.create({
-      data: {
-        licenseKey,
-        domain,
-        isActive: true,
-        activatedAt: new Date()
-      }
-    });
-
-    // Create new activation record
-    const activation = await prisma.licenseActivation.create({
-      data: {
-        licenseKey,
-        domain,
-        isActive: true
-      }
-    });
-
     return json({
       success: true,
       message: "License activated successfully! You can now refresh your theme.",
-      activation: {
-        licenseKey,
-        domain,
-        activatedAt: activation.activatedAt
-      }
+      activation: result.activation,
+      seats: result.seats
     });
 
   } catch (error) {
     console.error("License activation error:", error);
     return json(
-      { 
-        success: false, 
-        error: "Internal server error" 
+      {
+        success: false,
+        error: "Internal server error"
       },
       { status: 500 }
     );
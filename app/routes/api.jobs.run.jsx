@@ -0,0 +1,61 @@
+import { json } from "@remix-run/node";
+import crypto from "crypto";
+import { JOBS, runJobs } from "../models/jobs.server";
+
+// Runs the background jobs. Call it from any scheduler (cron, a CI schedule, your host's
+// scheduled tasks), e.g. hourly, with the shared secret from CRON_SECRET:
+//
+//   curl -X POST -H "Authorization: Bearer $CRON_SECRET" https://<app>/api/jobs/run
+//
+// Pass ?job=<name> to run a single job.
+function isAuthorized(request) {
+  const secret = process.env.CRON_SECRET;
+  const header = request.headers.get("Authorization") || "";
+
+  if (!secret || !header.startsWith("Bearer ")) {
+    return false;
+  }
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(header.slice("Bearer ".length));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  if (!isAuthorized(request)) {
+    return json({ success: false, error: "Unauthorized" }, { status: 401 });
+  }
+
+  const job = new URL(request.url).searchParams.get("job");
+
+  if (job && !JOBS[job]) {
+    return json({
+      success: false,
+      error: `Unknown job "${job}". Jobs: ${Object.keys(JOBS).join(", ")}`
+    }, { status: 400 });
+  }
+
+  try {
+    const results = await runJobs(job ? [job] : undefined);
+
+    return json({
+      success: Object.values(results).every((result) => result.success),
+      results
+    });
+
+  } catch (error) {
+    console.error("Jobs run error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,70 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  parsePurchaseExport,
+  savePurchaseRecords
+} from "../models/key-source.server";
+
+// Imports a BIG Digital Downloads order export so storefront activations can verify keys
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    await authenticate.admin(request);
+    const formData = await request.formData();
+    const file = formData.get("file");
+    const format = formData.get("format") || (file?.name?.endsWith(".json") ? "json" : "csv");
+
+    if (!file) {
+      return json(
+        {
+          success: false,
+          error: "Export file is required"
+        },
+        { status: 400 }
+      );
+    }
+
+    const text = typeof file === "string" ? file : await file.text();
+
+    let records;
+    let skipped;
+    try {
+      ({ records, skipped } = parsePurchaseExport(text, format));
+    } catch (parseError) {
+      return json({
+        success: false,
+        error: `Could not read ${format.toUpperCase()} export: ${parseError.message}`
+      }, { status: 400 });
+    }
+
+    if (records.length === 0) {
+      return json({
+        success: false,
+        error: "No license keys found in the export"
+      }, { status: 400 });
+    }
+
+    const imported = await savePurchaseRecords(records);
+
+    return json({
+      success: true,
+      message: `Imported ${imported} purchased license key${imported === 1 ? "" : "s"}` +
+        (skipped > 0 ? `, skipped ${skipped} row${skipped === 1 ? "" : "s"} without one` : ""),
+      imported,
+      skipped
+    });
+
+  } catch (error) {
+    console.error("Key source import error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
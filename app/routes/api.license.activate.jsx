@@ -1,5 +1,15 @@
 import { json } from "@remix-run/node";
 import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  describeAdminActor,
+  recordLicenseEvent,
+  snapshotLicense
+} from "../models/license-event.server";
+import { activateDomain, describeSeatLimit } from "../models/license.server";
+import { detectStoreEnvironment } from "../models/store-environment.server";
+import { describeMetafieldSync, syncActivationMetafield } from "../models/store-metafield.server";
 import { authenticate } from "../shopify.server";
 
 export async function action({ request }) {
@@ -8,12 +18,21 @@ export async function action({ request }) {
   }
 
   try {
-    const { admin } = await authenticate.admin(request);
+    const adminContext = await authenticate.admin(request);
     const formData = await request.formData();
     const licenseKey = formData.get("licenseKey");
     const domain = formData.get("domain");
     const themeId = formData.get("themeId");
 
+    const audit = (event) => recordLicenseEvent({
+      licenseKey,
+      domain,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext),
+      request,
+      ...event
+    });
+
     if (!licenseKey || !domain) {
       return json(
         { 
@@ -37,107 +56,46 @@ export async function action({ request }) {
       where: { licenseKey }
     });
 
-    if (!license) {
+    // Trashed licenses behave as if they were deleted
+    if (!license || license.deletedAt) {
       return json({
         success: false,
         error: "Invalid license key"
       });
     }
 
-    // Check if license is already activated for a different domain
-    const existingActivation = await prisma.licenseActivation.findFirst({
-      where: {
-        licenseKey,
-        isActive: true
-      }
-    });
+    // Development and staging stores get a separate, non-counting allowance
+    const environment = await detectStoreEnvironment(domain);
 
-    if (existingActivation && existingActivation.domain !== domain) {
+    // Activates only if the license still has a free seat for this domain
+    const before = await snapshotLicense(licenseKey);
+    const { activation, seats } = await activateDomain(license, domain, { themeId, environment });
+
+    if (!activation) {
+      const error = describeSeatLimit(seats);
+      await audit({ type: EVENT_TYPES.ACTIVATE_FAILED, message: error });
       return json({
         success: false,
-        error: `License is already activated for domain: ${existingActivation.domain}`
+        error
       });
     }
 
-    // Create or update activation
-    const activation = await prisma.licenseActivation.upsert({
-      where: {
-        licenseKey_domain: {
-          licenseKey,
-          domain
-        }
-      },
-      update: {
-        isActive: true,
-        themeId: themeId || null
-      },
-      create: {
-        licenseKey,
-        domain,
-        themeId: themeId || null,
-        isActive: true
-      }
-    });
-
-    // Update license record
-    await prisma.license.update({
-      where: { licenseKey },
-      data: {
-        domain,
-        isActive: true,
-        activatedAt: new Date(),
-        themeId: themeId || null
-      }
-    });
-
-    // Store activation in theme metafields
-    try {
-      const shopDomain = domain.replace('.myshopify.com', '');
-      
-      // Create metafield for license activation
-      const metafieldData = {
-        metafield: {
-          namespace: "theme_license",
-          key: "activation_status",
-          value: JSON.stringify({
-            activated: true,
-            licenseKey,
-            activatedAt: new Date().toISOString(),
-            domain
-          }),
-          type: "json"
-        }
-      };
+    await audit({ type: EVENT_TYPES.ACTIVATE, before, after: await snapshotLicense(licenseKey) });
 
-      // If themeId is provided, attach to specific theme
-      if (themeId) {
-        await admin.rest.resources.Metafield.save({
-          session: admin.session,
-          owner_resource: "theme",
-          owner_id: themeId,
-          ...metafieldData
-        });
-      } else {
-        // Store as shop metafield if no specific theme
-        await admin.rest.resources.Metafield.save({
-          session: admin.session,
-          ...metafieldData
-        });
-      }
-
-    } catch (metafieldError) {
-      console.error("Metafield creation error:", metafieldError);
-      // Don't fail the activation if metafield creation fails
-    }
+    // Mirror the activation in the store's theme_license.activation_status metafield
+    const metafieldSync = await syncActivationMetafield(domain);
 
     return json({
       success: true,
       message: "License activated successfully",
+      warning: describeMetafieldSync(metafieldSync),
+      metafieldSync,
       activation: {
         licenseKey,
         domain,
         activatedAt: activation.activatedAt,
-        themeId
+        themeId,
+        environment: activation.environment
       }
     });
 
@@ -0,0 +1,71 @@
+import { json } from "@remix-run/node";
+import { SessionNotFoundError } from "@shopify/shopify-app-remix/server";
+import prisma from "../db.server";
+import { ACTOR_TYPES, describeAdminActor } from "../models/license-event.server";
+import { syncStoreThemes } from "../models/store-themes.server";
+import { authenticate, unauthenticated } from "../shopify.server";
+
+// Re-reads a licensed store's themes on demand, e.g. to see whether the
+// merchant has switched the license gate app embed on
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const adminContext = await authenticate.admin(request);
+    const formData = await request.formData();
+    const domain = String(formData.get("domain") || "").toLowerCase();
+
+    if (!domain) {
+      return json(
+        {
+          success: false,
+          error: "Domain is required"
+        },
+        { status: 400 }
+      );
+    }
+
+    let storeAdmin;
+
+    try {
+      ({ admin: storeAdmin } = await unauthenticated.admin(domain));
+    } catch (error) {
+      if (error instanceof SessionNotFoundError) {
+        return json({
+          success: false,
+          error: "The app is not installed on this store, so its themes cannot be read"
+        });
+      }
+      throw error;
+    }
+
+    await syncStoreThemes(domain, storeAdmin, {
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext)
+    });
+
+    const activation = await prisma.licenseActivation.findFirst({
+      where: { domain, isActive: true },
+      orderBy: { appEmbedCheckedAt: "desc" }
+    });
+
+    return json({
+      success: true,
+      domain,
+      appEmbed: activation?.appEmbed ?? null,
+      appEmbedCheckedAt: activation?.appEmbedCheckedAt ?? null
+    });
+
+  } catch (error) {
+    console.error("App embed check error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -1,5 +1,27 @@
 import { json } from "@remix-run/node";
 import prisma from "../db.server";
+import { recordCheckFailure } from "../models/license-event.server";
+import { getLicenseStatus } from "../models/license.server";
+import { getCheckCacheSeconds, signLicenseToken } from "../models/license-token.server";
+import { getOutagePolicy } from "../models/outage-policy.server";
+import { limitCheckRequest, rateLimitedResponse } from "../models/rate-limit.server";
+import { getInstallUrl } from "../models/store-ownership.server";
+import { isSuspended } from "../models/store-uninstall.server";
+import {
+  compareThemeFingerprint,
+  readThemeFingerprint,
+  withActivationThemeInfo,
+  recordThemeFingerprint
+} from "../models/theme-fingerprint.server";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Expose-Headers": "Retry-After",
+  // Only positive results may be cached, so a lock lifts as soon as the license is fixed
+  "Cache-Control": "no-store",
+};
 
 export async function loader({ request }) {
   const url = new URL(request.url);
@@ -7,73 +29,173 @@ export async function loader({ request }) {
 
   if (!domain) {
     return json(
-      { 
-        success: false, 
+      {
+        success: false,
         activated: false,
-        error: "Domain is required" 
+        error: "Domain is required"
       },
-      { 
+      {
         status: 400,
-        headers: {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        }
+        headers: corsHeaders
       }
     );
   }
 
   try {
-    // Check if any license is activated for this domain
-    const activation = await prisma.licenseActivation.findFirst({
+    const rateLimit = await limitCheckRequest(request);
+
+    if (rateLimit.limited) {
+      return rateLimitedResponse(rateLimit, { activated: false, headers: corsHeaders });
+    }
+
+    // Check if any license is activated for this domain, preferring one that has not expired or been suspended
+    const activations = await prisma.licenseActivation.findMany({
       where: {
         domain: domain,
         isActive: true
       }
     });
 
-    if (activation) {
+    const licenses = await prisma.license.findMany({
+      where: { licenseKey: { in: activations.map((activation) => activation.licenseKey) } }
+    });
+
+    const candidates = activations.map((activation) => {
+      const license = licenses.find((item) => item.licenseKey === activation.licenseKey);
+      return { activation, license, ...getLicenseStatus(license || {}) };
+    });
+
+    const match = candidates.find((candidate) => candidate.status !== "expired" && !isSuspended(candidate.activation))
+      || candidates.find((candidate) => candidate.status !== "expired")
+      || candidates[0];
+
+    if (match) {
+      const { activation, license, status, expiresAt: licenseExpiresAt, graceEndsAt, daysRemaining } = match;
+
+      if (status === "expired") {
+        await recordCheckFailure({
+          licenseKey: activation.licenseKey,
+          domain,
+          request,
+          message: "License expired"
+        });
+
+        return json({
+          success: true,
+          activated: false,
+          status,
+          domain: activation.domain,
+          licenseExpiresAt,
+          daysRemaining
+        }, {
+          headers: corsHeaders
+        });
+      }
+
+      // The store uninstalled the app and UNINSTALL_POLICY locks the theme until it is reinstalled
+      if (isSuspended(activation)) {
+        await recordCheckFailure({
+          licenseKey: activation.licenseKey,
+          domain,
+          request,
+          message: "App uninstalled from this store"
+        });
+
+        return json({
+          success: true,
+          activated: false,
+          status: "suspended",
+          domain: activation.domain,
+          error: "The Theme License app was uninstalled from this store. Reinstall it to unlock the theme.",
+          installUrl: getInstallUrl(activation.domain)
+        }, {
+          headers: corsHeaders
+        });
+      }
+
+      // Themes report which build they are; mismatches show up in the dashboard
+      const fingerprint = withActivationThemeInfo(readThemeFingerprint(url.searchParams), activation);
+      const theme = compareThemeFingerprint({ license, activation, fingerprint });
+      await recordThemeFingerprint({ activation, fingerprint, mismatch: theme.mismatch, request });
+
+      if (theme.enforced) {
+        return json({
+          success: true,
+          activated: false,
+          status: "theme_mismatch",
+          domain: activation.domain,
+          error: "This license is not valid for this theme."
+        }, {
+          headers: corsHeaders
+        });
+      }
+
+      // Signed token lets the theme verify the result instead of trusting the boolean.
+      // It never outlives the grace period, so cached tokens cannot keep an expired license alive.
+      // The outage policy is signed too, so the theme can trust it when the server is unreachable later
+      const toSeconds = (date) => (date ? Math.floor(date.getTime() / 1000) : null);
+      const outagePolicy = getOutagePolicy(license);
+      const { token, expiresAt } = signLicenseToken({
+        domain: activation.domain,
+        themeId: fingerprint.themeId || activation.themeId || null,
+        licenseExpiresAt: toSeconds(licenseExpiresAt),
+        graceEndsAt: toSeconds(graceEndsAt),
+        outagePolicy: outagePolicy.policy,
+        outageHours: outagePolicy.hours
+      }, {
+        notAfter: graceEndsAt
+      });
+      const maxAge = Math.min(getCheckCacheSeconds(), Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+
       return json({
         success: true,
         activated: true,
+        status,
         domain: activation.domain,
         activatedAt: activation.activatedAt,
-        licenseKey: activation.licenseKey
+        licenseExpiresAt,
+        daysRemaining,
+        outagePolicy,
+        token,
+        expiresAt
       }, {
-        headers: {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        }
+        headers: { ...corsHeaders, "Cache-Control": `private, max-age=${Math.max(0, maxAge)}` }
+      });
+    }
+
+    // Only audit domains that held a license before - unknown stores have no key to attach to
+    const revokedActivation = await prisma.licenseActivation.findFirst({
+      where: { domain, isActive: false }
+    });
+
+    if (revokedActivation) {
+      await recordCheckFailure({
+        licenseKey: revokedActivation.licenseKey,
+        domain,
+        request,
+        message: "License revoked for this domain"
       });
     }
 
     return json({
       success: true,
-      activated: false
+      activated: false,
+      status: "inactive"
     }, {
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
-      }
+      headers: corsHeaders
     });
 
   } catch (error) {
     console.error("License check error:", error);
     return json(
-      { 
-        success: false, 
+      {
+        success: false,
         activated: false,
-        error: "Internal server error" 
+        error: "Internal server error"
       },
-      { 
+      {
         status: 500,
-        headers: {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        }
+        headers: corsHeaders
       }
     );
   }
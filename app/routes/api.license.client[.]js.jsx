@@ -0,0 +1,26 @@
+import { renderLicenseClient } from "../models/theme-snippet.server";
+
+// License client loaded by the theme snippet, with this app's URL filled in
+export async function loader() {
+  const client = renderLicenseClient();
+
+  if (!client.success) {
+    console.error("License client error:", client.error);
+    return new Response(`console.error(${JSON.stringify(`Theme license: ${client.error}`)});`, {
+      status: 503,
+      headers: {
+        "Content-Type": "application/javascript; charset=utf-8",
+        "Access-Control-Allow-Origin": "*",
+        "Cache-Control": "no-store"
+      }
+    });
+  }
+
+  return new Response(client.source, {
+    headers: {
+      "Content-Type": "application/javascript; charset=utf-8",
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=3600"
+    }
+  });
+}
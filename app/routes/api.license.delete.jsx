@@ -1,5 +1,14 @@
 import { json } from "@remix-run/node";
 import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  describeAdminActor,
+  recordLicenseEvent,
+  snapshotLicense
+} from "../models/license-event.server";
+import { TRASH_RETENTION_DAYS, trashLicense } from "../models/license.server";
+import { describeMetafieldSync, syncLicenseMetafields } from "../models/store-metafield.server";
 import { authenticate } from "../shopify.server";
 
 export async function action({ request }) {
@@ -8,10 +17,18 @@ export async function action({ request }) {
   }
 
   try {
-    await authenticate.admin(request);
+    const adminContext = await authenticate.admin(request);
     const formData = await request.formData();
     const licenseKey = formData.get("licenseKey");
 
+    const audit = (event) => recordLicenseEvent({
+      licenseKey,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext),
+      request,
+      ...event
+    });
+
     if (!licenseKey) {
       return json(
         { 
@@ -22,23 +39,32 @@ export async function action({ request }) {
       );
     }
 
-    // Delete all activation records for this license
-    await prisma.licenseActivation.deleteMany({
-      where: {
-        licenseKey
-      }
+    const license = await prisma.license.findUnique({
+      where: { licenseKey }
     });
 
-    // Delete the main license record
-    await prisma.license.delete({
-      where: {
-        licenseKey
-      }
-    });
+    if (!license || license.deletedAt) {
+      return json({
+        success: false,
+        error: "Invalid license key"
+      });
+    }
+
+    const before = await snapshotLicense(licenseKey);
+
+    // Soft delete: the license can be restored from the Trash tab
+    await trashLicense(licenseKey);
+
+    await audit({ type: EVENT_TYPES.DELETE, before, after: await snapshotLicense(licenseKey) });
+
+    // Clear the metafield on every store the license was active on
+    const metafieldSync = await syncLicenseMetafields(licenseKey);
 
     return json({
       success: true,
-      message: "License deleted permanently",
+      message: `License moved to trash. It can be restored for ${TRASH_RETENTION_DAYS} days.`,
+      warning: describeMetafieldSync(metafieldSync),
+      metafieldSync,
       deletedLicense: {
         licenseKey
       }
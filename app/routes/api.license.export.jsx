@@ -0,0 +1,49 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { EXPORT_FORMATS, createLicenseExportStream } from "../models/license-export.server";
+import { parseLicenseQuery } from "../models/license-query.server";
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8"
+};
+
+// Downloads the dashboard's current view with the same filters and sort as the page, but every page of it
+export async function loader({ request }) {
+  try {
+    await authenticate.admin(request);
+    const searchParams = new URL(request.url).searchParams;
+    const format = searchParams.get("format") || "csv";
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return json(
+        {
+          success: false,
+          error: `Format must be one of: ${EXPORT_FORMATS.join(", ")}`
+        },
+        { status: 400 }
+      );
+    }
+
+    const query = parseLicenseQuery(searchParams);
+    const fileName = `${query.view}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    return new Response(createLicenseExportStream(query, format), {
+      headers: {
+        "Content-Type": CONTENT_TYPES[format],
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+        "Cache-Control": "no-store"
+      }
+    });
+
+  } catch (error) {
+    console.error("License export error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,12 @@
+import { json } from "@remix-run/node";
+import { getPublicJwks } from "../models/license-token.server";
+
+// Public key used by the theme snippet to verify tokens from /api/license/check
+export async function loader() {
+  return json(getPublicJwks(), {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=3600"
+    }
+  });
+}
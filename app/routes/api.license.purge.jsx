@@ -0,0 +1,77 @@
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  describeAdminActor,
+  recordLicenseEvent,
+  snapshotLicense
+} from "../models/license-event.server";
+import { purgeLicense } from "../models/license.server";
+import { authenticate } from "../shopify.server";
+
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const adminContext = await authenticate.admin(request);
+    const formData = await request.formData();
+    const licenseKey = formData.get("licenseKey");
+
+    const audit = (event) => recordLicenseEvent({
+      licenseKey,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext),
+      request,
+      ...event
+    });
+
+    if (!licenseKey) {
+      return json(
+        { 
+          success: false, 
+          error: "License key is required" 
+        },
+        { status: 400 }
+      );
+    }
+
+    const license = await prisma.license.findUnique({
+      where: { licenseKey }
+    });
+
+    // Only trashed licenses can be purged, so a single click never destroys a live license
+    if (!license || !license.deletedAt) {
+      return json({
+        success: false,
+        error: "Only licenses in the trash can be purged"
+      });
+    }
+
+    const before = await snapshotLicense(licenseKey);
+
+    await purgeLicense(licenseKey);
+
+    await audit({ type: EVENT_TYPES.PURGE, before });
+
+    return json({
+      success: true,
+      message: "License deleted permanently",
+      purgedLicense: {
+        licenseKey
+      }
+    });
+
+  } catch (error) {
+    console.error("License purge error:", error);
+    return json(
+      { 
+        success: false, 
+        error: "Internal server error" 
+      },
+      { status: 500 }
+    );
+  }
+}
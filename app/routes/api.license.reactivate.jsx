@@ -1,5 +1,15 @@
 import { json } from "@remix-run/node";
 import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  describeAdminActor,
+  recordLicenseEvent,
+  snapshotLicense
+} from "../models/license-event.server";
+import { activateDomain, describeSeatLimit } from "../models/license.server";
+import { detectStoreEnvironment } from "../models/store-environment.server";
+import { describeMetafieldSync, syncActivationMetafield } from "../models/store-metafield.server";
 import { authenticate } from "../shopify.server";
 
 export async function action({ request }) {
@@ -8,11 +18,20 @@ export async function action({ request }) {
   }
 
   try {
-    await authenticate.admin(request);
+    const adminContext = await authenticate.admin(request);
     const formData = await request.formData();
     const licenseKey = formData.get("licenseKey");
     const domain = formData.get("domain");
 
+    const audit = (event) => recordLicenseEvent({
+      licenseKey,
+      domain,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext),
+      request,
+      ...event
+    });
+
     if (!licenseKey || !domain) {
       return json(
         { 
@@ -36,59 +55,38 @@ export async function action({ request }) {
       where: { licenseKey }
     });
 
-    if (!license) {
+    // Trashed licenses behave as if they were deleted
+    if (!license || license.deletedAt) {
       return json({
         success: false,
         error: "Invalid license key"
       });
     }
 
-    // Check if license is already activated for a different domain
-    const existingActivation = await prisma.licenseActivation.findFirst({
-      where: {
-        licenseKey,
-        isActive: true
-      }
-    });
+    // Development and staging stores get a separate, non-counting allowance
+    const environment = await detectStoreEnvironment(domain);
+
+    // Activates only if the license still has a free seat for this domain
+    const before = await snapshotLicense(licenseKey);
+    const { activation, seats } = await activateDomain(license, domain, { environment });
 
-    if (existingActivation && existingActivation.domain !== domain) {
+    if (!activation) {
+      const error = describeSeatLimit(seats);
+      await audit({ type: EVENT_TYPES.ACTIVATE_FAILED, message: error });
       return json({
         success: false,
-        error: `License is already activated for domain: ${existingActivation.domain}`
+        error
       });
     }
 
-    // Create or update activation
-    const activation = await prisma.licenseActivation.upsert({
-      where: {
-        licenseKey_domain: {
-          licenseKey,
-          domain
-        }
-      },
-      update: {
-        isActive: true
-      },
-      create: {
-        licenseKey,
-        domain,
-        isActive: true
-      }
-    });
-
-    // Update license record
-    await prisma.license.update({
-      where: { licenseKey },
-      data: {
-        domain,
-        isActive: true,
-        activatedAt: new Date()
-      }
-    });
+    await audit({ type: EVENT_TYPES.REACTIVATE, before, after: await snapshotLicense(licenseKey) });
+    const metafieldSync = await syncActivationMetafield(domain);
 
     return json({
       success: true,
       message: "License reactivated successfully!",
+      warning: describeMetafieldSync(metafieldSync),
+      metafieldSync,
       activation: {
         licenseKey,
         domain,
@@ -0,0 +1,83 @@
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  describeAdminActor,
+  recordLicenseEvent,
+  snapshotLicense
+} from "../models/license-event.server";
+import { TRASH_RETENTION_DAYS, isRestorable, restoreLicense } from "../models/license.server";
+import { authenticate } from "../shopify.server";
+
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const adminContext = await authenticate.admin(request);
+    const formData = await request.formData();
+    const licenseKey = formData.get("licenseKey");
+
+    const audit = (event) => recordLicenseEvent({
+      licenseKey,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext),
+      request,
+      ...event
+    });
+
+    if (!licenseKey) {
+      return json(
+        { 
+          success: false, 
+          error: "License key is required" 
+        },
+        { status: 400 }
+      );
+    }
+
+    const license = await prisma.license.findUnique({
+      where: { licenseKey }
+    });
+
+    if (!license || !license.deletedAt) {
+      return json({
+        success: false,
+        error: "License is not in the trash"
+      });
+    }
+
+    if (!isRestorable(license)) {
+      return json({
+        success: false,
+        error: `Licenses can only be restored within ${TRASH_RETENTION_DAYS} days of deletion`
+      });
+    }
+
+    const before = await snapshotLicense(licenseKey);
+
+    await restoreLicense(licenseKey);
+
+    await audit({ type: EVENT_TYPES.RESTORE, before, after: await snapshotLicense(licenseKey) });
+
+    return json({
+      success: true,
+      message: "License restored. Reactivate it to turn its domains back on.",
+      restoredLicense: {
+        licenseKey
+      }
+    });
+
+  } catch (error) {
+    console.error("License restore error:", error);
+    return json(
+      { 
+        success: false, 
+        error: "Internal server error" 
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -1,5 +1,13 @@
 import { json } from "@remix-run/node";
-import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  describeAdminActor,
+  recordLicenseEvent,
+  snapshotLicense
+} from "../models/license-event.server";
+import { revokeLicense } from "../models/license.server";
+import { describeMetafieldSync, syncActivationMetafield } from "../models/store-metafield.server";
 import { authenticate } from "../shopify.server";
 
 export async function action({ request }) {
@@ -8,11 +16,20 @@ export async function action({ request }) {
   }
 
   try {
-    await authenticate.admin(request);
+    const adminContext = await authenticate.admin(request);
     const formData = await request.formData();
     const licenseKey = formData.get("licenseKey");
     const domain = formData.get("domain");
 
+    const audit = (event) => recordLicenseEvent({
+      licenseKey,
+      domain,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext),
+      request,
+      ...event
+    });
+
     if (!licenseKey || !domain) {
       return json(
         { 
@@ -23,30 +40,21 @@ export async function action({ request }) {
       );
     }
 
-    // Delete the license activation
-    await prisma.licenseActivation.deleteMany({
-      where: {
-        licenseKey,
-        domain
-      }
-    });
+    const before = await snapshotLicense(licenseKey);
 
-    // Update the main license record to inactive but keep domain
-    await prisma.license.updateMany({
-      where: {
-        licenseKey,
-        domain
-      },
-      data: {
-        isActive: false,
-        activatedAt: null
-        // Keep domain for easy reactivation
-      }
-    });
+    // Deactivate rather than delete, so the activation history is kept.
+    // The license stays active while other seats remain.
+    await revokeLicense(licenseKey, domain);
+    await audit({ type: EVENT_TYPES.REVOKE, before, after: await snapshotLicense(licenseKey) });
+
+    // Clear the store's metafield, unless another license is still active there
+    const metafieldSync = await syncActivationMetafield(domain);
 
     return json({
       success: true,
       message: "License revoked successfully",
+      warning: describeMetafieldSync(metafieldSync),
+      metafieldSync,
       revokedLicense: {
         licenseKey,
         domain
@@ -0,0 +1,23 @@
+import { renderLicenseSnippet } from "../models/theme-snippet.server";
+
+// The theme snippet, ready to save as snippets/license-check.liquid
+export async function loader() {
+  const snippet = renderLicenseSnippet();
+
+  // A snippet with placeholders left in it would never find the license state
+  if (!snippet.success) {
+    console.error("Theme snippet error:", snippet.error);
+    return new Response(snippet.error, {
+      status: 503,
+      headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" }
+    });
+  }
+
+  return new Response(snippet.source, {
+    headers: {
+      "Content-Type": "text/plain; charset=utf-8",
+      "Content-Disposition": 'attachment; filename="license-check.liquid"',
+      "Cache-Control": "no-cache"
+    }
+  });
+}
@@ -0,0 +1,111 @@
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  describeAdminActor,
+  recordLicenseEvent,
+  snapshotLicense
+} from "../models/license-event.server";
+import { transferLicense } from "../models/license-transfer.server";
+import { describeMetafieldSync, syncLicenseMetafields } from "../models/store-metafield.server";
+import { authenticate } from "../shopify.server";
+
+// Moves a license from one store to another from the dashboard
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const adminContext = await authenticate.admin(request);
+    const formData = await request.formData();
+    const licenseKey = formData.get("licenseKey");
+    const fromDomain = formData.get("fromDomain");
+    const toDomain = formData.get("toDomain")?.trim().toLowerCase();
+
+    const audit = (event) => recordLicenseEvent({
+      licenseKey,
+      domain: toDomain,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext),
+      request,
+      ...event
+    });
+
+    if (!licenseKey || !fromDomain || !toDomain) {
+      return json(
+        {
+          success: false,
+          error: "License key, current domain and new domain are required"
+        },
+        { status: 400 }
+      );
+    }
+
+    // Validate domain format (.myshopify.com)
+    if (!toDomain.endsWith('.myshopify.com')) {
+      return json({
+        success: false,
+        error: "Domain must be a valid .myshopify.com domain"
+      });
+    }
+
+    const license = await prisma.license.findUnique({
+      where: { licenseKey }
+    });
+
+    // Trashed licenses behave as if they were deleted
+    if (!license || license.deletedAt) {
+      return json({
+        success: false,
+        error: "Invalid license key"
+      });
+    }
+
+    const before = await snapshotLicense(licenseKey);
+    const result = await transferLicense({
+      license,
+      fromDomain,
+      toDomain,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext)
+    });
+
+    if (!result.success) {
+      return json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await audit({
+      type: EVENT_TYPES.TRANSFER,
+      before,
+      after: await snapshotLicense(licenseKey),
+      message: `Transferred from ${fromDomain} to ${toDomain}`
+    });
+
+    // Clears the old store's metafield and sets the new one
+    const metafieldSync = await syncLicenseMetafields(licenseKey);
+
+    return json({
+      success: true,
+      warning: describeMetafieldSync(metafieldSync),
+      metafieldSync,
+      message: `License transferred to ${toDomain}. ${result.allowance.remaining} transfer(s) left this year.`,
+      transfer: result.transfer,
+      allowance: result.allowance
+    });
+
+  } catch (error) {
+    console.error("License transfer error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,191 @@
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  describeAdminActor,
+  recordLicenseEvent,
+  snapshotLicense
+} from "../models/license-event.server";
+import { LICENSE_TERMS, calculateExpiry } from "../models/license.server";
+import { OUTAGE_POLICIES } from "../models/outage-policy.server";
+import { describeMetafieldSync, syncLicenseMetafields } from "../models/store-metafield.server";
+import { normalizeThemeFamily } from "../models/theme-fingerprint.server";
+import { authenticate } from "../shopify.server";
+
+// Updates editable license settings from the dashboard
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const adminContext = await authenticate.admin(request);
+    const formData = await request.formData();
+    const licenseKey = formData.get("licenseKey");
+
+    const audit = (event) => recordLicenseEvent({
+      licenseKey,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: describeAdminActor(adminContext),
+      request,
+      ...event
+    });
+
+    if (!licenseKey) {
+      return json(
+        {
+          success: false,
+          error: "License key is required"
+        },
+        { status: 400 }
+      );
+    }
+
+    const data = {};
+
+    if (formData.has("maxActivations")) {
+      const maxActivations = parseInt(formData.get("maxActivations"), 10);
+
+      if (!(maxActivations >= 1)) {
+        return json({
+          success: false,
+          error: "Seat limit must be a whole number of at least 1"
+        }, { status: 400 });
+      }
+
+      data.maxActivations = maxActivations;
+    }
+
+    if (formData.has("term")) {
+      const term = formData.get("term");
+
+      if (!LICENSE_TERMS.includes(term)) {
+        return json({
+          success: false,
+          error: `Term must be one of: ${LICENSE_TERMS.join(", ")}`
+        }, { status: 400 });
+      }
+
+      data.term = term;
+    }
+
+    if (formData.has("expiresAt")) {
+      const value = formData.get("expiresAt");
+      const expiresAt = value ? new Date(value) : null;
+
+      if (expiresAt && isNaN(expiresAt.getTime())) {
+        return json({
+          success: false,
+          error: "Expiry must be a valid date"
+        }, { status: 400 });
+      }
+
+      data.expiresAt = expiresAt;
+    }
+
+    if (formData.has("graceDays")) {
+      const graceDays = parseInt(formData.get("graceDays"), 10);
+
+      if (!(graceDays >= 0)) {
+        return json({
+          success: false,
+          error: "Grace period must be a whole number of days"
+        }, { status: 400 });
+      }
+
+      data.graceDays = graceDays;
+    }
+
+    // An empty policy or window falls back to the app-wide default
+    if (formData.has("outagePolicy")) {
+      const outagePolicy = formData.get("outagePolicy") || null;
+
+      if (outagePolicy && !Object.values(OUTAGE_POLICIES).includes(outagePolicy)) {
+        return json({
+          success: false,
+          error: `Outage policy must be one of: ${Object.values(OUTAGE_POLICIES).join(", ")}`
+        }, { status: 400 });
+      }
+
+      data.outagePolicy = outagePolicy;
+    }
+
+    if (formData.has("outageHours")) {
+      const value = formData.get("outageHours");
+      const outageHours = value ? parseInt(value, 10) : null;
+
+      if (value && !(outageHours >= 1)) {
+        return json({
+          success: false,
+          error: "Outage window must be a whole number of hours"
+        }, { status: 400 });
+      }
+
+      data.outageHours = outageHours;
+    }
+
+    if (formData.has("themeFamily")) {
+      data.themeFamily = normalizeThemeFamily(formData.get("themeFamily"));
+    }
+
+    const license = await prisma.license.findUnique({
+      where: { licenseKey }
+    });
+
+    // Trashed licenses behave as if they were deleted
+    if (!license || license.deletedAt) {
+      return json({
+        success: false,
+        error: "Invalid license key"
+      });
+    }
+
+    // Renewing extends by one term from the current expiry, or from today if already expired
+    if (formData.get("renew") === "true") {
+      const term = data.term || license.term;
+      const currentExpiry = license.expiresAt ? new Date(license.expiresAt) : new Date();
+      const renewFrom = currentExpiry > new Date() ? currentExpiry : new Date();
+      const expiresAt = calculateExpiry(term, renewFrom);
+
+      if (!expiresAt) {
+        return json({
+          success: false,
+          error: "Lifetime licenses do not need to be renewed"
+        }, { status: 400 });
+      }
+
+      data.expiresAt = expiresAt;
+    }
+
+    const before = await snapshotLicense(licenseKey);
+    const updatedLicense = await prisma.license.update({
+      where: { licenseKey },
+      data
+    });
+    await audit({ type: EVENT_TYPES.UPDATE, before, after: await snapshotLicense(licenseKey) });
+
+    // The stores' signed license states carry the expiry and outage policy, so changes reach Liquid right away
+    const metafieldSync = ["expiresAt", "graceDays", "outagePolicy", "outageHours"].some((field) => field in data)
+      ? await syncLicenseMetafields(licenseKey)
+      : null;
+
+    return json({
+      success: true,
+      message: "License updated successfully",
+      license: updatedLicense,
+      warning: describeMetafieldSync(metafieldSync),
+      metafieldSync
+    });
+
+  } catch (error) {
+    console.error("License update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -1,5 +1,7 @@
 import { json } from "@remix-run/node";
 import prisma from "../db.server";
+import { checkSeatAvailability } from "../models/license.server";
+import { detectStoreEnvironment } from "../models/store-environment.server";
 
 export async function loader({ request }) {
   const url = new URL(request.url);
@@ -22,7 +24,8 @@ export async function loader({ request }) {
       where: { licenseKey }
     });
 
-    if (!license) {
+    // Trashed licenses behave as if they were deleted
+    if (!license || license.deletedAt) {
       return json({
         success: false,
         error: "Invalid license key"
@@ -48,25 +51,31 @@ export async function loader({ request }) {
       });
     }
 
-    // Check if license is already activated for a different domain
-    const existingActivation = await prisma.licenseActivation.findFirst({
-      where: {
-        licenseKey,
-        isActive: true
-      }
-    });
+    // Development and staging stores get a separate, non-counting allowance
+    const environment = await detectStoreEnvironment(domain);
 
-    if (existingActivation && existingActivation.domain !== domain) {
+    // Check the license still has a free seat for this domain
+    const seats = await checkSeatAvailability(license, domain, environment);
+
+    if (!seats.available) {
       return json({
         success: false,
-        error: `License is already activated for domain: ${existingActivation.domain}`
+        error: seats.error,
+        seats: {
+          used: seats.used,
+          max: seats.max
+        }
       });
     }
 
     return json({
       success: true,
       activated: false,
-      canActivate: true
+      canActivate: true,
+      seats: {
+        used: seats.used,
+        max: seats.max
+      }
     });
 
   } catch (error) {
@@ -0,0 +1,210 @@
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import {
+  ACTOR_TYPES,
+  EVENT_TYPES,
+  recordLicenseEvent,
+  snapshotLicense
+} from "../models/license-event.server";
+import { storefrontTransfersEnabled, transferLicense } from "../models/license-transfer.server";
+import { requestPortalCode, verifyPortalCode } from "../models/portal.server";
+import {
+  clearFailedActivations,
+  getDomainLockout,
+  getPortalLockout,
+  limitActivationRequest,
+  limitPortalRequest,
+  rateLimitedResponse,
+  recordFailedActivation
+} from "../models/rate-limit.server";
+import { syncLicenseMetafields } from "../models/store-metafield.server";
+import { verifyStoreOwnership } from "../models/store-ownership.server";
+
+// Lets a customer move their license to the store they are activating on.
+// License keys are not secret (they are printed on receipts and shared with
+// developers), so the buyer proves ownership with a one-time code emailed to
+// the order's address, as in the license portal. The installed app proves
+// ownership of the store.
+//   intent=send_code: emails the code (licenseKey, email)
+//   otherwise:        moves the license (licenseKey, email, code, fromDomain, domain)
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const formData = await request.formData();
+    const licenseKey = String(formData.get("licenseKey") || "").trim();
+    const email = String(formData.get("email") || "").trim();
+    const code = String(formData.get("code") || "").trim();
+    const fromDomain = formData.get("fromDomain");
+    const domain = formData.get("domain");
+
+    if (!storefrontTransfersEnabled()) {
+      return json({
+        success: false,
+        error: "Self-service transfers are not available. Please contact support to move your license."
+      }, { status: 403 });
+    }
+
+    if (!licenseKey || !email) {
+      return json(
+        {
+          success: false,
+          error: "License key and order email are required"
+        },
+        { status: 400 }
+      );
+    }
+
+    // Same throttling and per-key lockout as the license portal's sign-in
+    const portalLimit = await limitPortalRequest(request, { licenseKey });
+
+    if (portalLimit.limited) {
+      return rateLimitedResponse(portalLimit);
+    }
+
+    const portalLockout = await getPortalLockout(licenseKey);
+
+    if (portalLockout.locked) {
+      return rateLimitedResponse(portalLockout, {
+        error: `Too many wrong codes. Please try again in ${Math.ceil(portalLockout.retryAfter / 60)} minutes.`
+      });
+    }
+
+    if (formData.get("intent") === "send_code") {
+      await requestPortalCode({ licenseKey, email });
+
+      return json({
+        success: true,
+        message: `If ${licenseKey} was bought with ${email}, a code is on its way.`
+      });
+    }
+
+    if (!/^\d{6}$/.test(code) || !fromDomain || !domain) {
+      return json(
+        {
+          success: false,
+          error: "The emailed code, current domain and new domain are required"
+        },
+        { status: 400 }
+      );
+    }
+
+    // Validate domain format (.myshopify.com)
+    if (!domain.endsWith('.myshopify.com')) {
+      return json({
+        success: false,
+        error: "Domain must be a valid .myshopify.com domain"
+      });
+    }
+
+    // Same throttling and lockout as storefront activation
+    const rateLimit = await limitActivationRequest(request, { domain, licenseKey });
+
+    if (rateLimit.limited) {
+      return rateLimitedResponse(rateLimit);
+    }
+
+    const lockout = await getDomainLockout(domain, request);
+
+    if (lockout.locked) {
+      return rateLimitedResponse(lockout, {
+        error: `Too many failed activation attempts for this store. Please try again in ${Math.ceil(lockout.retryAfter / 60)} minutes.`
+      });
+    }
+
+    const audit = (event) => recordLicenseEvent({
+      licenseKey,
+      domain,
+      actorType: ACTOR_TYPES.STOREFRONT,
+      request,
+      ...event
+    });
+
+    const ownership = await verifyStoreOwnership(domain);
+
+    if (!ownership.verified) {
+      await audit({ type: EVENT_TYPES.ACTIVATE_FAILED, message: "Store ownership not proven for transfer" });
+      return json({
+        success: false,
+        error: ownership.error,
+        installUrl: ownership.installUrl
+      }, { status: 403 });
+    }
+
+    const proof = await verifyPortalCode({ licenseKey, email, code });
+
+    if (!proof.success) {
+      await audit({ type: EVENT_TYPES.ACTIVATE_FAILED, message: "Transfer code not accepted" });
+      return json({
+        success: false,
+        error: proof.error
+      });
+    }
+
+    const license = await prisma.license.findUnique({
+      where: { licenseKey }
+    });
+
+    let result;
+
+    // Unknown and trashed keys count towards the lockout like failed activations
+    if (!license || license.deletedAt) {
+      result = { success: false, error: "Invalid license key" };
+    } else {
+      const before = await snapshotLicense(licenseKey);
+      result = await transferLicense({
+        license,
+        fromDomain,
+        toDomain: domain,
+        actorType: ACTOR_TYPES.STOREFRONT
+      });
+
+      if (result.success) {
+        await audit({
+          type: EVENT_TYPES.TRANSFER,
+          before,
+          after: await snapshotLicense(licenseKey),
+          message: `Transferred from ${fromDomain} to ${domain}`
+        });
+      }
+    }
+
+    if (!result.success) {
+      await recordFailedActivation(domain, request);
+      await audit({ type: EVENT_TYPES.ACTIVATE_FAILED, message: `Transfer failed: ${result.error}` });
+      return json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await clearFailedActivations(domain, request);
+
+    // Failed metafield writes are retried by the metafield-sync job; customers are not told about them
+    await syncLicenseMetafields(licenseKey);
+
+    return json({
+      success: true,
+      message: "License moved to this store! You can now refresh your theme.",
+      activation: {
+        licenseKey,
+        domain,
+        activatedAt: result.activation.activatedAt,
+        environment: result.activation.environment
+      },
+      transfersRemaining: result.allowance.remaining
+    });
+
+  } catch (error) {
+    console.error("License transfer error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
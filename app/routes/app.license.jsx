@@ -1,6 +1,16 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { json } from "@remix-run/node";
-import { useLoaderData, useActionData, useSubmit, useNavigation } from "@remix-run/react";
+import {
+  Form,
+  Link,
+  useLoaderData,
+  useActionData,
+  useSubmit,
+  useNavigation,
+  useSearchParams,
+  useFetcher,
+  useRevalidator
+} from "@remix-run/react";
 import {
   Page,
   Card,
@@ -13,37 +23,448 @@ import {
   BlockStack,
   InlineStack,
   Divider,
-  Badge
+  Badge,
+  Tabs,
+  Select,
+  Pagination,
+  IndexTable,
+  useIndexResourceState
 } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { BULK_OPERATIONS, normalizeTag, runBulkOperation } from "../models/license-bulk.server";
+import {
+  ACTOR_TYPES,
+  describeAdminActor,
+  recordLicenseEvent
+} from "../models/license-event.server";
+import {
+  ACTIVATION_STATUS_FILTERS,
+  LICENSE_STATUS_FILTERS,
+  findDashboardPage,
+  parseLicenseQuery
+} from "../models/license-query.server";
+import {
+  TRASH_RETENTION_DAYS,
+  getLicenseStatus,
+  inTrash,
+  isRestorable,
+  withLicenseDefaults
+} from "../models/license.server";
 
 export async function loader({ request }) {
   await authenticate.admin(request);
+  const query = parseLicenseQuery(new URL(request.url).searchParams);
+
+  // One page of the selected tab; trashed licenses only appear in the Trash tab
+  const page = await findDashboardPage(query);
+  const licenses = query.view === "activations" ? [] : page.items.map(withLicenseDefaults);
+  const activations = query.view === "activations" ? page.items : [];
 
-  // Get all licenses and activations
-  const licenses = await prisma.license.findMany({
-    orderBy: { createdAt: 'desc' },
-    take: 50
+  const trashCount = await prisma.license.count({ where: inTrash });
+
+  // Active stores running a theme their license was not issued for
+  const themeMismatches = await prisma.licenseActivation.findMany({
+    where: { isActive: true, themeMismatch: { not: null } },
+    orderBy: { themeMismatchAt: 'desc' },
+    take: 20
+  });
+
+  // Stores that published an unknown theme or duplicated the licensed one, from the themes webhooks
+  const themeWarnings = await prisma.licenseActivation.findMany({
+    where: { isActive: true, themeWarning: { not: null } },
+    orderBy: { themeWarningAt: 'desc' },
+    take: 20
   });
 
-  const activations = await prisma.licenseActivation.findMany({
-    where: { isActive: true },
-    orderBy: { activatedAt: 'desc' },
-    take: 50
+  // Seats used per key, counted across active production activations
+  const seatCounts = await prisma.licenseActivation.groupBy({
+    by: ["licenseKey"],
+    where: {
+      isActive: true,
+      NOT: { environment: "development" },
+      licenseKey: { in: licenses.map((license) => license.licenseKey) }
+    },
+    _count: { _all: true }
   });
 
-  return json({ licenses, activations });
+  const seatsUsed = Object.fromEntries(
+    seatCounts.map((seat) => [seat.licenseKey, seat._count._all])
+  );
+
+  const licenseStatuses = Object.fromEntries(
+    licenses.map((license) => [license.licenseKey, getLicenseStatus(license)])
+  );
+
+  const restorable = Object.fromEntries(
+    licenses.map((license) => [license.licenseKey, isRestorable(license)])
+  );
+
+  return json({
+    query,
+    statusFilters: query.view === "activations" ? ACTIVATION_STATUS_FILTERS : LICENSE_STATUS_FILTERS,
+    licenses,
+    activations,
+    pageInfo: {
+      total: page.total,
+      hasNext: page.hasNext,
+      hasPrevious: page.hasPrevious,
+      startCursor: page.items[0]?.id || null,
+      endCursor: page.items[page.items.length - 1]?.id || null
+    },
+    seatsUsed,
+    licenseStatuses,
+    trashCount,
+    trashRetentionDays: TRASH_RETENTION_DAYS,
+    restorable,
+    themeMismatches,
+    themeWarnings
+  });
 }
 
+// Bulk operations on the selected licenses. Single-row actions use the /api/license routes.
 export async function action({ request }) {
-  const { admin } = await authenticate.admin(request);
-  
-  return null; // Actions handled by separate API routes
+  try {
+    const adminContext = await authenticate.admin(request);
+    const formData = await request.formData();
+    const operation = formData.get("operation");
+    const licenseKeys = formData.getAll("licenseKeys");
+    const tag = normalizeTag(formData.get("tag"));
+
+    if (!BULK_OPERATIONS.includes(operation)) {
+      return json({
+        success: false,
+        error: "Unknown bulk operation"
+      }, { status: 400 });
+    }
+
+    if (licenseKeys.length === 0) {
+      return json({
+        success: false,
+        error: "Select at least one license"
+      }, { status: 400 });
+    }
+
+    if ((operation === "tag" || operation === "untag") && !tag) {
+      return json({
+        success: false,
+        error: "Tags must be between 1 and 40 characters"
+      }, { status: 400 });
+    }
+
+    const results = await runBulkOperation({
+      operation,
+      licenseKeys,
+      tag,
+      audit: (event) => recordLicenseEvent({
+        actorType: ACTOR_TYPES.ADMIN,
+        actor: describeAdminActor(adminContext),
+        request,
+        ...event
+      })
+    });
+
+    return json({
+      success: true,
+      operation,
+      results
+    });
+
+  } catch (error) {
+    console.error("Bulk license operation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Search and filter bar. Submitting it updates the URL, so filtered views can be shared.
+function DashboardFilters({ query, statusFilters }) {
+  const [q, setQ] = useState(query.q);
+  const [status, setStatus] = useState(query.status);
+  const [from, setFrom] = useState(query.from);
+  const [to, setTo] = useState(query.to);
+  const [theme, setTheme] = useState(query.theme);
+  const [tag, setTag] = useState(query.tag);
+
+  const statusLabels = {
+    active: "Active",
+    inactive: "Inactive",
+    expiring: "Expiring within 30 days",
+    expired: "Expired",
+    mismatch: "Theme mismatch",
+    suspended: "Suspended (app uninstalled)",
+    theme_warning: "Unknown or duplicated theme",
+    embed_off: "App embed off or missing"
+  };
+
+  return (
+    <Card>
+      <Form method="get">
+        <input type="hidden" name="view" value={query.view} />
+        <input type="hidden" name="sort" value={query.sort} />
+        <input type="hidden" name="direction" value={query.direction} />
+
+        <BlockStack gap="300">
+          <InlineStack gap="300" blockAlign="end" wrap>
+            <div style={{ flexGrow: 1, minWidth: "240px" }}>
+              <TextField
+                label="Search"
+                name="q"
+                value={q}
+                onChange={setQ}
+                placeholder="License key or domain"
+                autoComplete="off"
+              />
+            </div>
+            {query.view !== "trash" && (
+              <Select
+                label="Status"
+                name="status"
+                options={[{ label: "Any", value: "" }, ...statusFilters.map((value) => ({ label: statusLabels[value], value }))]}
+                value={status}
+                onChange={setStatus}
+              />
+            )}
+            <TextField
+              label={query.view === "activations" ? "Activated from" : "Created from"}
+              type="date"
+              name="from"
+              value={from}
+              onChange={setFrom}
+              autoComplete="off"
+            />
+            <TextField label="To" type="date" name="to" value={to} onChange={setTo} autoComplete="off" />
+            <TextField
+              label="Theme"
+              name="theme"
+              value={theme}
+              onChange={setTheme}
+              placeholder="Name, family or ID"
+              autoComplete="off"
+            />
+            {query.view !== "activations" && (
+              <TextField label="Tag" name="tag" value={tag} onChange={setTag} autoComplete="off" />
+            )}
+          </InlineStack>
+
+          <InlineStack gap="200">
+            <Button submit variant="primary">Apply</Button>
+            <Button url={`?view=${query.view}`}>Clear</Button>
+          </InlineStack>
+        </BlockStack>
+      </Form>
+    </Card>
+  );
+}
+
+const BULK_OPERATION_LABELS = {
+  revoke: "revoked",
+  reactivate: "reactivated",
+  delete: "moved to trash",
+  tag: "tagged",
+  untag: "untagged"
+};
+
+// Summary of a bulk operation, listing the rows that failed and why
+function BulkResultBanner({ result, onDismiss }) {
+  if (!result.success) {
+    return (
+      <Banner tone="critical" onDismiss={onDismiss}>
+        <p>{result.error}</p>
+      </Banner>
+    );
+  }
+
+  const failures = result.results.filter((row) => !row.success);
+  const warnings = result.results.filter((row) => row.success && row.warning);
+  const succeeded = result.results.length - failures.length;
+
+  return (
+    <Banner
+      tone={failures.length > 0 || warnings.length > 0 ? "warning" : "success"}
+      title={`${succeeded} of ${result.results.length} license(s) ${BULK_OPERATION_LABELS[result.operation]}`}
+      onDismiss={onDismiss}
+    >
+      {failures.length > 0 && (
+        <BlockStack gap="100">
+          {failures.map((failure) => (
+            <Text as="p" key={failure.licenseKey}>{failure.licenseKey}: {failure.error}</Text>
+          ))}
+        </BlockStack>
+      )}
+      {warnings.length > 0 && (
+        <BlockStack gap="100">
+          {warnings.map((row) => (
+            <Text as="p" key={row.licenseKey}>{row.licenseKey}: {row.warning}</Text>
+          ))}
+        </BlockStack>
+      )}
+    </Banner>
+  );
 }
 
 export default function LicensePage() {
-  const { licenses, activations } = useLoaderData();
+  const {
+    query,
+    statusFilters,
+    pageInfo,
+    licenses,
+    activations,
+    seatsUsed,
+    licenseStatuses,
+    trashCount,
+    trashRetentionDays,
+    restorable,
+    themeMismatches,
+    themeWarnings
+  } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { view } = query;
+  const revalidator = useRevalidator();
+
+  // Bulk operations post to this route's action; Remix revalidates the loader once it finishes
+  const bulkFetcher = useFetcher();
+  const [bulkResult, setBulkResult] = useState(null);
+  const {
+    selectedResources,
+    allResourcesSelected,
+    handleSelectionChange,
+    clearSelection
+  } = useIndexResourceState(licenses, { resourceIDResolver: (license) => license.licenseKey });
+
+  useEffect(() => {
+    if (bulkFetcher.data) {
+      setBulkResult(bulkFetcher.data);
+    }
+  }, [bulkFetcher.data]);
+
+  const runBulkOperation = (operation) => {
+    const count = selectedResources.length;
+    let tag;
+
+    if (operation === "delete" && !confirm(`Move ${count} license(s) to the trash? Their activations will be switched off.`)) {
+      return;
+    }
+
+    if (operation === "revoke" && !confirm(`Revoke ${count} license(s) on every store they are active on?`)) {
+      return;
+    }
+
+    if (operation === "tag" || operation === "untag") {
+      tag = prompt(operation === "tag" ? `Tag to add to ${count} license(s):` : `Tag to remove from ${count} license(s):`);
+
+      if (!tag) {
+        return; // User cancelled
+      }
+    }
+
+    const formData = new FormData();
+    formData.append("operation", operation);
+    selectedResources.forEach((licenseKey) => formData.append("licenseKeys", licenseKey));
+    if (tag) {
+      formData.append("tag", tag);
+    }
+
+    bulkFetcher.submit(formData, { method: "post" });
+    clearSelection();
+  };
+
+  // Changes URL params, dropping the page cursor so results start from the first page
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    next.delete("after");
+    next.delete("before");
+
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value) {
+        next.set(name, value);
+      } else {
+        next.delete(name);
+      }
+    });
+
+    setSearchParams(next);
+  };
+
+  const goToPage = (cursor) => {
+    const next = new URLSearchParams(searchParams);
+    next.delete("after");
+    next.delete("before");
+    next.set(cursor.name, cursor.value);
+    setSearchParams(next);
+  };
+
+  // Sortable DataTable columns mapped to the fields the server sorts by
+  const sortProps = (fields) => ({
+    sortable: fields.map(Boolean),
+    initialSortColumnIndex: fields.includes(query.sort) ? fields.indexOf(query.sort) : undefined,
+    defaultSortDirection: query.direction === "asc" ? "ascending" : "descending",
+    onSort: (index, direction) => updateParams({
+      sort: fields[index],
+      direction: direction === "ascending" ? "asc" : "desc"
+    })
+  });
+
+  const indexSortProps = (fields) => ({
+    sortable: fields.map(Boolean),
+    sortColumnIndex: fields.includes(query.sort) ? fields.indexOf(query.sort) : undefined,
+    sortDirection: query.direction === "asc" ? "ascending" : "descending",
+    onSort: (index, direction) => updateParams({
+      sort: fields[index],
+      direction: direction === "ascending" ? "asc" : "desc"
+    })
+  });
+
+  // Downloads every row of the current view and filters, not just the visible page
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    const params = new URLSearchParams(searchParams);
+    params.delete("after");
+    params.delete("before");
+    params.set("format", format);
+
+    setIsExporting(true);
+
+    try {
+      const response = await fetch(`/api/license/export?${params}`);
+
+      if (!response.ok) {
+        const result = await response.json();
+        alert(`Error: ${result.error}`);
+        return;
+      }
+
+      const fileName = response.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] || `licenses.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error exporting licenses:", error);
+      alert("An error occurred while exporting.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const pagination = (
+    <InlineStack align="center">
+      <Pagination
+        hasPrevious={pageInfo.hasPrevious}
+        onPrevious={() => goToPage({ name: "before", value: pageInfo.startCursor })}
+        hasNext={pageInfo.hasNext}
+        onNext={() => goToPage({ name: "after", value: pageInfo.endCursor })}
+      />
+    </InlineStack>
+  );
   const actionData = useActionData();
   const submit = useSubmit();
   const navigation = useNavigation();
@@ -87,8 +508,8 @@ export default function LicensePage() {
         setLicenseKey("");
         setDomain("");
         setThemeId("");
-        // Refresh the page to show updated data
-        window.location.reload();
+        // Reload the dashboard data without a full page refresh
+        revalidator.revalidate();
       }
     } catch (error) {
       setActivationResult({
@@ -140,9 +561,9 @@ export default function LicensePage() {
       const result = await response.json();
       
       if (result.success) {
-        alert("License revoked successfully!");
-        // Refresh the page to show updated data
-        window.location.reload();
+        alert(result.warning ? `License revoked successfully!\n\n${result.warning}` : "License revoked successfully!");
+        // Reload the dashboard data without a full page refresh
+        revalidator.revalidate();
       } else {
         alert(`Error: ${result.error}`);
       }
@@ -182,9 +603,9 @@ export default function LicensePage() {
       const result = await response.json();
       
       if (result.success) {
-        alert("License reactivated successfully!");
-        // Refresh the page to show updated data
-        window.location.reload();
+        alert(result.warning ? `License reactivated successfully!\n\n${result.warning}` : "License reactivated successfully!");
+        // Reload the dashboard data without a full page refresh
+        revalidator.revalidate();
       } else {
         alert(`Error: ${result.error}`);
       }
@@ -194,7 +615,189 @@ export default function LicensePage() {
     }
   };
 
+  const handleTransferLicense = async (licenseKey, fromDomain) => {
+    const toDomain = prompt(`Move license ${licenseKey} from ${fromDomain} to which domain?`);
+
+    if (!toDomain) {
+      return; // User cancelled
+    }
+
+    if (!toDomain.trim().endsWith('.myshopify.com')) {
+      alert('Domain must be a valid .myshopify.com domain');
+      return;
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append("licenseKey", licenseKey);
+      formData.append("fromDomain", fromDomain);
+      formData.append("toDomain", toDomain.trim());
+
+      const response = await fetch("/api/license/transfer", {
+        method: "POST",
+        body: formData
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        alert(result.warning ? `${result.message}\n\n${result.warning}` : result.message);
+        // Reload the dashboard data without a full page refresh
+        revalidator.revalidate();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error transferring license:", error);
+      alert("An error occurred while transferring the license.");
+    }
+  };
+
+  const handleEditSeats = async (licenseKey, currentMax) => {
+    const maxActivations = prompt(`Enter the number of domains license ${licenseKey} can be active on:`, currentMax);
+
+    if (!maxActivations) {
+      return; // User cancelled
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append("licenseKey", licenseKey);
+      formData.append("maxActivations", maxActivations);
+
+      const response = await fetch("/api/license/update", {
+        method: "POST",
+        body: formData
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        alert("Seat limit updated successfully!");
+        // Reload the dashboard data without a full page refresh
+        revalidator.revalidate();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error updating seat limit:", error);
+      alert("An error occurred while updating the seat limit.");
+    }
+  };
+
+  const handleRenewLicense = async (licenseKey, term) => {
+    if (!confirm(`Renew license ${licenseKey} for another ${term === "annual" ? "year" : "month"}?`)) {
+      return;
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append("licenseKey", licenseKey);
+      formData.append("renew", "true");
+
+      const response = await fetch("/api/license/update", {
+        method: "POST",
+        body: formData
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        alert(result.warning ? `License renewed successfully!\n\n${result.warning}` : "License renewed successfully!");
+        // Reload the dashboard data without a full page refresh
+        revalidator.revalidate();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error renewing license:", error);
+      alert("An error occurred while renewing the license.");
+    }
+  };
+
+  const expiryCell = (license) => {
+    const { status, expiresAt, daysRemaining } = licenseStatuses[license.licenseKey];
+
+    if (!expiresAt) {
+      return license.term === "lifetime" ? "Lifetime" : `${license.term} (starts on activation)`;
+    }
+
+    const badge = {
+      active: <Badge tone="success">{`${daysRemaining}d left`}</Badge>,
+      grace: <Badge tone="warning">{`Grace: ${daysRemaining}d`}</Badge>,
+      expired: <Badge tone="critical">Expired</Badge>
+    }[status];
+
+    return (
+      <InlineStack gap="200" blockAlign="center">
+        <Text as="span">{new Date(expiresAt).toLocaleDateString()}</Text>
+        {badge}
+        <Button
+          size="small"
+          variant="plain"
+          onClick={() => handleRenewLicense(license.licenseKey, license.term)}
+        >
+          Renew
+        </Button>
+      </InlineStack>
+    );
+  };
+
   const handleDeleteLicense = async (licenseKey) => {
+    if (!confirm(`Move license ${licenseKey} to the trash? Its activations will be switched off. You can restore it for ${trashRetentionDays} days.`)) {
+      return;
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append("licenseKey", licenseKey);
+
+      const response = await fetch("/api/license/delete", {
+        method: "POST",
+        body: formData
+      });
+
+      const result = await response.json();
+      
+      if (result.success) {
+        alert(result.warning ? `License moved to trash!\n\n${result.warning}` : "License moved to trash!");
+        // Reload the dashboard data without a full page refresh
+        revalidator.revalidate();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error deleting license:", error);
+      alert("An error occurred while deleting the license.");
+    }
+  };
+
+  const handleRestoreLicense = async (licenseKey) => {
+    try {
+      const formData = new FormData();
+      formData.append("licenseKey", licenseKey);
+
+      const response = await fetch("/api/license/restore", {
+        method: "POST",
+        body: formData
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        alert(result.message);
+        // Reload the dashboard data without a full page refresh
+        revalidator.revalidate();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error restoring license:", error);
+      alert("An error occurred while restoring the license.");
+    }
+  };
+
+  const handlePurgeLicense = async (licenseKey) => {
     if (!confirm(`Are you sure you want to PERMANENTLY DELETE license ${licenseKey}? This action cannot be undone!`)) {
       return;
     }
@@ -208,33 +811,54 @@ export default function LicensePage() {
       const formData = new FormData();
       formData.append("licenseKey", licenseKey);
 
-      const response = await fetch("/api/license/delete", {
+      const response = await fetch("/api/license/purge", {
         method: "POST",
         body: formData
       });
 
       const result = await response.json();
-      
+
       if (result.success) {
         alert("License deleted permanently!");
-        // Refresh the page to show updated data
-        window.location.reload();
+        // Reload the dashboard data without a full page refresh
+        revalidator.revalidate();
       } else {
         alert(`Error: ${result.error}`);
       }
     } catch (error) {
-      console.error("Error deleting license:", error);
+      console.error("Error purging license:", error);
       alert("An error occurred while deleting the license.");
     }
   };
 
   // Prepare data for tables
+  // License keys link to their activation history and audit timeline
+  const licenseLink = (licenseKey) => (
+    <Link to={`/app/license/${encodeURIComponent(licenseKey)}`}>{licenseKey}</Link>
+  );
+
   const licenseRows = licenses.map(license => [
-    license.licenseKey,
+    licenseLink(license.licenseKey),
     license.domain || "Not activated",
+    <InlineStack gap="100" key="tags">
+      {(license.tags || []).map((tag) => <Badge key={tag}>{tag}</Badge>)}
+    </InlineStack>,
     license.isActive ? <Badge status="success">Active</Badge> : <Badge>Inactive</Badge>,
+    <InlineStack gap="200" blockAlign="center">
+      <Badge tone={(seatsUsed[license.licenseKey] || 0) >= license.maxActivations ? "warning" : undefined}>
+        {`${seatsUsed[license.licenseKey] || 0}/${license.maxActivations}`}
+      </Badge>
+      <Button
+        size="small"
+        variant="plain"
+        onClick={() => handleEditSeats(license.licenseKey, license.maxActivations)}
+      >
+        Edit
+      </Button>
+    </InlineStack>,
     new Date(license.createdAt).toLocaleDateString(),
     license.activatedAt ? new Date(license.activatedAt).toLocaleDateString() : "—",
+    expiryCell(license),
     <InlineStack gap="200">
       {license.isActive && license.domain ? (
         <>
@@ -246,6 +870,12 @@ export default function LicensePage() {
           >
             🚫 Revoke
           </Button>
+          <Button
+            size="small"
+            onClick={() => handleTransferLicense(license.licenseKey, license.domain)}
+          >
+            ➡️ Transfer
+          </Button>
           <Button
             size="small"
             variant="plain"
@@ -278,12 +908,32 @@ export default function LicensePage() {
     </InlineStack>
   ]);
 
+  // Theme name and build reported by the storefront, flagged when it does not match the license
+  const themeCell = (activation) => (
+    <BlockStack gap="100" key="theme">
+      <Text as="span">{activation.themeName || activation.themeId || "—"}</Text>
+      {(activation.themeVersion || activation.themeName) && (
+        <Text as="span" variant="bodySm" tone="subdued">
+          {[activation.themeVersion && `v${activation.themeVersion}`, activation.themeName && activation.themeId]
+            .filter(Boolean)
+            .join(" · ")}
+        </Text>
+      )}
+      {activation.themeMismatch && <Badge tone="warning">Theme mismatch</Badge>}
+      {activation.themeWarning && <Badge tone="attention">{activation.themeWarning}</Badge>}
+      {activation.isActive && activation.appEmbed === "disabled" && <Badge tone="warning">App embed off</Badge>}
+    </BlockStack>
+  );
+
   const activationRows = activations.map(activation => [
-    activation.licenseKey,
+    licenseLink(activation.licenseKey),
     activation.domain,
-    activation.themeId || "—",
+    activation.environment === "development" ? <Badge tone="info">Development</Badge> : <Badge>Production</Badge>,
+    themeCell(activation),
     new Date(activation.activatedAt).toLocaleDateString(),
-    activation.isActive ? <Badge status="success">Active</Badge> : <Badge status="critical">Inactive</Badge>,
+    !activation.isActive ? <Badge status="critical">Inactive</Badge>
+      : activation.suspendedAt ? <Badge tone="attention">Suspended</Badge>
+      : <Badge status="success">Active</Badge>,
     <InlineStack gap="200">
       {activation.isActive ? (
         <>
@@ -295,6 +945,12 @@ export default function LicensePage() {
           >
             🚫 Revoke
           </Button>
+          <Button
+            size="small"
+            onClick={() => handleTransferLicense(activation.licenseKey, activation.domain)}
+          >
+            ➡️ Transfer
+          </Button>
           <Button
             size="small"
             variant="plain"
@@ -327,8 +983,55 @@ export default function LicensePage() {
     </InlineStack>
   ]);
 
+  // Trashed licenses can be restored until their retention period runs out
+  const daysLeftToRestore = (license) => {
+    const purgeAt = new Date(license.deletedAt).getTime() + trashRetentionDays * 24 * 60 * 60 * 1000;
+    return Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+  };
+
+  const trashRows = licenses.map(license => [
+    licenseLink(license.licenseKey),
+    license.domain || "Not activated",
+    new Date(license.deletedAt).toLocaleDateString(),
+    restorable[license.licenseKey]
+      ? `${daysLeftToRestore(license)} days`
+      : <Badge tone="critical">Expired</Badge>,
+    <InlineStack gap="200" key="actions">
+      <Button
+        size="small"
+        variant="primary"
+        disabled={!restorable[license.licenseKey]}
+        onClick={() => handleRestoreLicense(license.licenseKey)}
+      >
+        ↩️ Restore
+      </Button>
+      <Button
+        size="small"
+        variant="plain"
+        tone="critical"
+        onClick={() => handlePurgeLicense(license.licenseKey)}
+      >
+        Delete permanently
+      </Button>
+    </InlineStack>
+  ]);
+
+  const tabs = [
+    { id: "licenses", content: "Licenses" },
+    { id: "activations", content: "Activations" },
+    { id: "trash", content: `Trash (${trashCount})` }
+  ];
+
   return (
-    <Page title="License Monitoring Dashboard">
+    <Page
+      title="License Monitoring Dashboard"
+      primaryAction={{ content: "Import licenses", url: "/app/license/import" }}
+      secondaryActions={[
+        { content: "Export CSV", onAction: () => handleExport("csv"), disabled: isExporting },
+        { content: "Export JSON", onAction: () => handleExport("json"), disabled: isExporting },
+        { content: "Download theme snippet", url: "/api/license/snippet", external: true }
+      ]}
+    >
       <BlockStack gap="500">
         
         {/* Info Banner */}
@@ -338,6 +1041,30 @@ export default function LicensePage() {
             This dashboard shows all activated licenses and allows you to manage them.
           </p>
         </Banner>
+
+        {themeMismatches.length > 0 && (
+          <Banner tone="warning" title={`${themeMismatches.length} store(s) running a theme that does not match their license`}>
+            <BlockStack gap="100">
+              {themeMismatches.map((activation) => (
+                <Text as="p" key={activation.id}>
+                  {licenseLink(activation.licenseKey)} on {activation.domain}: {activation.themeMismatch}
+                </Text>
+              ))}
+            </BlockStack>
+          </Banner>
+        )}
+
+        {themeWarnings.length > 0 && (
+          <Banner tone="warning" title={`${themeWarnings.length} store(s) running an unknown or duplicated theme`}>
+            <BlockStack gap="100">
+              {themeWarnings.map((activation) => (
+                <Text as="p" key={activation.id}>
+                  {licenseLink(activation.licenseKey)} on {activation.domain}: {activation.themeWarning}
+                </Text>
+              ))}
+            </BlockStack>
+          </Banner>
+        )}
         
         {/* 
         COMMENTED OUT: License activation and generation functionality
@@ -435,31 +1162,96 @@ export default function LicensePage() {
         <Divider />
         */}
 
+        <Tabs
+          tabs={tabs}
+          selected={tabs.findIndex((tab) => tab.id === view)}
+          onSelect={(index) => setSearchParams({ view: tabs[index].id })}
+        />
+
+        <DashboardFilters key={searchParams.toString()} query={query} statusFilters={statusFilters} />
+
+        {view === "trash" && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Trash ({pageInfo.total})</Text>
+              <Text as="p" tone="subdued">
+                Deleted licenses can be restored for {trashRetentionDays} days.
+                Restoring a license does not turn its domains back on.
+              </Text>
+
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'text', 'text']}
+                headings={['License Key', 'Domain', 'Deleted', 'Time left to restore', 'Actions']}
+                rows={trashRows}
+                {...sortProps(['licenseKey', 'domain', 'deletedAt', null, null])}
+              />
+              {pagination}
+            </BlockStack>
+          </Card>
+        )}
+
+        {bulkResult && <BulkResultBanner result={bulkResult} onDismiss={() => setBulkResult(null)} />}
+
         {/* All Licenses Table */}
-        <Card>
-          <BlockStack gap="400">
-            <Text variant="headingMd">All Licenses ({licenses.length})</Text>
-            
-            <DataTable
-              columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
-              headings={['License Key', 'Domain', 'Status', 'Created', 'Activated', 'Actions']}
-              rows={licenseRows}
-            />
-          </BlockStack>
-        </Card>
+        {view === "licenses" && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Licenses ({pageInfo.total})</Text>
 
-        {/* Active Activations Table */}
-        <Card>
-          <BlockStack gap="400">
-            <Text variant="headingMd">Active Activations ({activations.length})</Text>
-            
-            <DataTable
-              columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
-              headings={['License Key', 'Domain', 'Theme ID', 'Activated', 'Status', 'Actions']}
-              rows={activationRows}
-            />
-          </BlockStack>
-        </Card>
+              <IndexTable
+                resourceName={{ singular: "license", plural: "licenses" }}
+                itemCount={licenses.length}
+                selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                onSelectionChange={handleSelectionChange}
+                loading={bulkFetcher.state !== "idle"}
+                headings={['License Key', 'Domain', 'Tags', 'Status', 'Seats', 'Created', 'Activated', 'Expires', 'Actions'].map((title) => ({ title }))}
+                promotedBulkActions={[
+                  { content: "Revoke", onAction: () => runBulkOperation("revoke") },
+                  { content: "Reactivate", onAction: () => runBulkOperation("reactivate") }
+                ]}
+                bulkActions={[
+                  { content: "Add tag", onAction: () => runBulkOperation("tag") },
+                  { content: "Remove tag", onAction: () => runBulkOperation("untag") },
+                  { content: "Move to trash", destructive: true, onAction: () => runBulkOperation("delete") }
+                ]}
+                {...indexSortProps(['licenseKey', 'domain', null, null, null, 'createdAt', 'activatedAt', 'expiresAt', null])}
+              >
+                {licenseRows.map((cells, index) => (
+                  <IndexTable.Row
+                    id={licenses[index].licenseKey}
+                    key={licenses[index].licenseKey}
+                    position={index}
+                    selected={selectedResources.includes(licenses[index].licenseKey)}
+                    // Rows hold buttons and links, so only the checkbox selects
+                    onClick={() => {}}
+                  >
+                    {cells.map((cell, column) => (
+                      <IndexTable.Cell key={column}>{cell}</IndexTable.Cell>
+                    ))}
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+              {pagination}
+            </BlockStack>
+          </Card>
+        )}
+
+        {/* Activations Table */}
+        {view === "activations" && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Activations ({pageInfo.total})</Text>
+
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text', 'text']}
+                headings={['License Key', 'Domain', 'Environment', 'Theme', 'Activated', 'Status', 'Actions']}
+                rows={activationRows}
+                {...sortProps(['licenseKey', 'domain', null, null, 'activatedAt', null, null])}
+              />
+              {pagination}
+            </BlockStack>
+          </Card>
+        )}
 
       </BlockStack>
     </Page>
@@ -0,0 +1,377 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import { useLoaderData, useRevalidator } from "@remix-run/react";
+import {
+  Page,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Box,
+  Button,
+  Divider,
+  EmptyState,
+  Select,
+  TextField
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getLicenseEvents } from "../models/license-event.server";
+import { checkTransferAllowance, getTransferHistory } from "../models/license-transfer.server";
+import { getLicenseStatus, withLicenseDefaults } from "../models/license.server";
+import { getOutagePolicy } from "../models/outage-policy.server";
+
+const EVENT_BADGES = {
+  create: { tone: "info", label: "Created" },
+  activate: { tone: "success", label: "Activated" },
+  activate_failed: { tone: "critical", label: "Activation failed" },
+  revoke: { tone: "warning", label: "Revoked" },
+  reactivate: { tone: "success", label: "Reactivated" },
+  update: { tone: "info", label: "Updated" },
+  delete: { tone: "critical", label: "Moved to trash" },
+  restore: { tone: "success", label: "Restored" },
+  purge: { tone: "critical", label: "Deleted permanently" },
+  transfer: { tone: "info", label: "Transferred" },
+  check_failed: { tone: "attention", label: "Check failed" },
+  theme_mismatch: { tone: "warning", label: "Theme mismatch" },
+  theme_change: { tone: "info", label: "Theme changed" },
+  suspend: { tone: "attention", label: "Suspended" },
+  resume: { tone: "success", label: "Resumed" },
+  release: { tone: "warning", label: "Seat released" }
+};
+
+const APP_EMBED_BADGES = {
+  enabled: { tone: "success", label: "On" },
+  disabled: { tone: "warning", label: "Off" },
+  missing: { label: "Not added" }
+};
+
+const OUTAGE_POLICY_LABELS = {
+  "fail-open": "Fail open: stay unlocked",
+  "fail-closed": "Fail closed: lock the theme",
+  "fail-open-window": "Fail open for a number of hours after the last successful check"
+};
+
+export async function loader({ request, params }) {
+  await authenticate.admin(request);
+  const { licenseKey } = params;
+
+  const [license, activations, events, transfers, transferAllowance] = await Promise.all([
+    prisma.license.findUnique({ where: { licenseKey } }),
+    prisma.licenseActivation.findMany({
+      where: { licenseKey },
+      orderBy: { activatedAt: "desc" }
+    }),
+    getLicenseEvents(licenseKey),
+    getTransferHistory(licenseKey),
+    checkTransferAllowance(licenseKey)
+  ]);
+
+  // Deleted licenses still have a history worth showing
+  if (!license && events.length === 0) {
+    throw new Response("License not found", { status: 404 });
+  }
+
+  return json({
+    licenseKey,
+    license: withLicenseDefaults(license),
+    licenseStatus: license ? getLicenseStatus(license) : null,
+    activations,
+    events,
+    transfers,
+    transferAllowance,
+    // What licenses without their own outage policy follow
+    defaultOutagePolicy: getOutagePolicy(null)
+  });
+}
+
+// Lists the license fields and activation states that differ between two snapshots
+function describeChanges(before, after) {
+  const previous = before?.license || {};
+  const next = after?.license || {};
+  const activationState = (snapshot, domain) => {
+    const activation = snapshot?.activations?.find((item) => item.domain === domain);
+    return activation ? (activation.isActive ? "active" : "inactive") : "—";
+  };
+  const domains = new Set(
+    [...(before?.activations || []), ...(after?.activations || [])].map((item) => item.domain)
+  );
+
+  const licenseChanges = Object.keys({ ...previous, ...next })
+    .filter((field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+    .map((field) => `${field}: ${previous[field] ?? "—"} → ${next[field] ?? "—"}`);
+
+  const activationChanges = [...domains]
+    .filter((domain) => activationState(before, domain) !== activationState(after, domain))
+    .map((domain) => `${domain}: ${activationState(before, domain)} → ${activationState(after, domain)}`);
+
+  return [...licenseChanges, ...activationChanges];
+}
+
+export default function LicenseTimelinePage() {
+  const {
+    licenseKey,
+    license,
+    licenseStatus,
+    activations,
+    events,
+    transfers,
+    transferAllowance,
+    defaultOutagePolicy
+  } = useLoaderData();
+  const revalidator = useRevalidator();
+  const [outagePolicy, setOutagePolicy] = useState(license?.outagePolicy || "");
+  const [outageHours, setOutageHours] = useState(license?.outageHours ? String(license.outageHours) : "");
+  const [isSavingOutagePolicy, setIsSavingOutagePolicy] = useState(false);
+  const [checkingDomain, setCheckingDomain] = useState(null);
+
+  const effectiveOutagePolicy = outagePolicy || defaultOutagePolicy.policy;
+  const outagePolicyOptions = [
+    { label: `Default (${OUTAGE_POLICY_LABELS[defaultOutagePolicy.policy]})`, value: "" },
+    ...Object.entries(OUTAGE_POLICY_LABELS).map(([value, label]) => ({ label, value }))
+  ];
+
+  const handleSaveOutagePolicy = async () => {
+    setIsSavingOutagePolicy(true);
+
+    try {
+      const formData = new FormData();
+      formData.append("licenseKey", licenseKey);
+      formData.append("outagePolicy", outagePolicy);
+      formData.append("outageHours", outageHours);
+
+      const response = await fetch("/api/license/update", {
+        method: "POST",
+        body: formData
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        alert(result.warning ? `Outage policy saved.\n\n${result.warning}` : "Outage policy saved.");
+        revalidator.revalidate();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Outage policy error:", error);
+      alert("An error occurred while saving the outage policy.");
+    } finally {
+      setIsSavingOutagePolicy(false);
+    }
+  };
+
+  const handleCheckAppEmbed = async (domain) => {
+    setCheckingDomain(domain);
+
+    try {
+      const formData = new FormData();
+      formData.append("domain", domain);
+
+      const response = await fetch("/api/license/app-embed", {
+        method: "POST",
+        body: formData
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        revalidator.revalidate();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("App embed check error:", error);
+      alert("An error occurred while checking the store's themes.");
+    } finally {
+      setCheckingDomain(null);
+    }
+  };
+
+  // State of the license gate app embed in the store's published theme, as of the last theme sync
+  const appEmbedCell = (activation) => {
+    const badge = APP_EMBED_BADGES[activation.appEmbed];
+
+    return (
+      <InlineStack gap="200" blockAlign="center" key="appEmbed">
+        {badge ? <Badge tone={badge.tone}>{badge.label}</Badge> : <Text as="span">—</Text>}
+        {activation.isActive && (
+          <Button
+            variant="plain"
+            onClick={() => handleCheckAppEmbed(activation.domain)}
+            loading={checkingDomain === activation.domain}
+          >
+            Check
+          </Button>
+        )}
+      </InlineStack>
+    );
+  };
+
+  const activationRows = activations.map((activation) => [
+    activation.domain,
+    activation.environment === "development" ? <Badge tone="info">Development</Badge> : <Badge>Production</Badge>,
+    <BlockStack gap="100" key="theme">
+      <Text as="span">
+        {[activation.themeName, activation.themeVersion && `v${activation.themeVersion}`].filter(Boolean).join(" ") || "—"}
+      </Text>
+      {activation.themeId && <Text as="span" variant="bodySm" tone="subdued">ID {activation.themeId}</Text>}
+      {activation.themeMismatch && <Badge tone="warning">{activation.themeMismatch}</Badge>}
+      {activation.themeWarning && <Badge tone="attention">{activation.themeWarning}</Badge>}
+    </BlockStack>,
+    appEmbedCell(activation),
+    new Date(activation.activatedAt).toLocaleString(),
+    !activation.isActive ? <Badge>Inactive</Badge>
+      : activation.suspendedAt ? <Badge tone="attention">Suspended</Badge>
+      : <Badge tone="success">Active</Badge>
+  ]);
+
+  const transferRows = transfers.map((transfer) => [
+    new Date(transfer.createdAt).toLocaleString(),
+    transfer.fromDomain,
+    transfer.toDomain,
+    transfer.actor || transfer.actorType
+  ]);
+
+  return (
+    <Page
+      title={licenseKey}
+      backAction={{ content: "License Management", url: "/app/license" }}
+      titleMetadata={
+        license
+          ? license.deletedAt ? <Badge tone="critical">In trash</Badge>
+          : license.isActive ? <Badge tone="success">Active</Badge> : <Badge>Inactive</Badge>
+          : <Badge tone="critical">Deleted</Badge>
+      }
+    >
+      <BlockStack gap="500">
+
+        {license && (
+          <Card>
+            <BlockStack gap="200">
+              <Text variant="headingMd" as="h2">Summary</Text>
+              <Text as="p">Domain: {license.domain || "Not activated"}</Text>
+              <Text as="p">Seats: {license.maxActivations}</Text>
+              {license.themeFamily && <Text as="p">Theme family: {license.themeFamily}</Text>}
+              <Text as="p">
+                Term: {license.term}
+                {licenseStatus.expiresAt && ` — expires ${new Date(licenseStatus.expiresAt).toLocaleDateString()} (${licenseStatus.status})`}
+              </Text>
+              <Text as="p">Created: {new Date(license.createdAt).toLocaleString()}</Text>
+            </BlockStack>
+          </Card>
+        )}
+
+        {license && !license.deletedAt && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">Outage policy</Text>
+              <Text as="p" tone="subdued">
+                What the theme does when it cannot reach the license server. It is sent with every
+                successful license check, so stores pick up a change on their next check.
+              </Text>
+              <Select
+                label="When the license server is unreachable"
+                options={outagePolicyOptions}
+                value={outagePolicy}
+                onChange={setOutagePolicy}
+              />
+              {effectiveOutagePolicy === "fail-open-window" && (
+                <TextField
+                  label="Hours after the last successful check"
+                  type="number"
+                  min={1}
+                  value={outageHours}
+                  onChange={setOutageHours}
+                  placeholder={String(defaultOutagePolicy.hours)}
+                  helpText="Leave empty to use the default."
+                  autoComplete="off"
+                />
+              )}
+              <InlineStack>
+                <Button variant="primary" onClick={handleSaveOutagePolicy} loading={isSavingOutagePolicy}>
+                  Save
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        )}
+
+        <Card>
+          <BlockStack gap="400">
+            <Text variant="headingMd" as="h2">Activations ({activations.length})</Text>
+
+            <DataTable
+              columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
+              headings={['Domain', 'Environment', 'Theme', 'App embed', 'Activated', 'Status']}
+              rows={activationRows}
+            />
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="400">
+            <Text variant="headingMd" as="h2">Transfers ({transfers.length})</Text>
+            <Text as="p" tone="subdued">
+              {transferAllowance.used} of {transferAllowance.limit} transfers used in the last 12 months, including domains the customer deactivated in the license portal
+            </Text>
+
+            {transferRows.length > 0 && (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'text']}
+                headings={['Date', 'From', 'To', 'By']}
+                rows={transferRows}
+              />
+            )}
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="400">
+            <Text variant="headingMd" as="h2">Timeline</Text>
+
+            {events.length === 0 ? (
+              <EmptyState heading="No events recorded yet" image="">
+                <p>Changes to this license will appear here.</p>
+              </EmptyState>
+            ) : (
+              <BlockStack gap="300">
+                {events.map((event) => {
+                  const badge = EVENT_BADGES[event.type] || { label: event.type };
+                  const changes = describeChanges(event.before, event.after);
+
+                  return (
+                    <BlockStack gap="100" key={event.id}>
+                      <InlineStack gap="200" blockAlign="center">
+                        <Badge tone={badge.tone}>{badge.label}</Badge>
+                        <Text as="span" tone="subdued">{new Date(event.createdAt).toLocaleString()}</Text>
+                        {event.domain && <Text as="span">{event.domain}</Text>}
+                      </InlineStack>
+                      <Text as="p" tone="subdued">
+                        By {event.actor || event.actorType}
+                        {event.ip && ` from ${event.ip}`}
+                        {event.userAgent && ` · ${event.userAgent}`}
+                      </Text>
+                      {event.message && <Text as="p">{event.message}</Text>}
+                      {changes.length > 0 && (
+                        <Box paddingInlineStart="400">
+                          {changes.map((change) => (
+                            <Text as="p" variant="bodySm" key={change}>{change}</Text>
+                          ))}
+                        </Box>
+                      )}
+                      <Divider />
+                    </BlockStack>
+                  );
+                })}
+              </BlockStack>
+            )}
+          </BlockStack>
+        </Card>
+
+      </BlockStack>
+    </Page>
+  );
+}
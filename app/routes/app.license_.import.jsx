@@ -0,0 +1,385 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Card,
+  DropZone,
+  Select,
+  Button,
+  Banner,
+  DataTable,
+  Text,
+  BlockStack,
+  InlineStack,
+  Badge
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { PURCHASE_FIELDS, readExportRows } from "../models/key-source.server";
+import {
+  detectImportFormat,
+  importLicenses,
+  prepareLicenseImport,
+  readColumnMapping
+} from "../models/license-import.server";
+import { ACTOR_TYPES, describeAdminActor } from "../models/license-event.server";
+import { stringifyCsv } from "../utils/csv";
+
+// Rows sent back for the preview table; the summary always covers the whole file
+const PREVIEW_ROWS = 100;
+
+const FIELD_LABELS = {
+  licenseKey: "License key",
+  orderId: "Order ID",
+  customerEmail: "Customer email",
+  productName: "Product / theme",
+  maxActivations: "Seats",
+  term: "Term",
+  purchasedAt: "Purchase date",
+  status: "Order status"
+};
+
+const STATUS_BADGES = {
+  new: { tone: "success", label: "New" },
+  existing: { tone: "info", label: "Already imported" },
+  duplicate: { tone: "warning", label: "Duplicate" },
+  refunded: { tone: "attention", label: "Refunded" },
+  invalid: { tone: "critical", label: "Invalid" }
+};
+
+export async function loader({ request }) {
+  await authenticate.admin(request);
+
+  return json({
+    fields: PURCHASE_FIELDS.map((field) => ({ field, label: FIELD_LABELS[field] || field }))
+  });
+}
+
+export async function action({ request }) {
+  try {
+    const adminContext = await authenticate.admin(request);
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+    const file = formData.get("file");
+
+    if (!file || typeof file === "string") {
+      return json({ success: false, error: "Choose a CSV or JSON export to import" }, { status: 400 });
+    }
+
+    const format = detectImportFormat(file.name, formData.get("format"));
+
+    // Entries that are not rows at all (e.g. null in a JSON array) are only counted
+    let rawRows;
+    let unreadable;
+    try {
+      ({ rows: rawRows, skipped: unreadable } = readExportRows(await file.text(), format));
+    } catch (parseError) {
+      return json({
+        success: false,
+        error: `Could not read ${format.toUpperCase()} export: ${parseError.message}`
+      }, { status: 400 });
+    }
+
+    if (rawRows.length === 0) {
+      return json({ success: false, error: "No rows found in the export" }, { status: 400 });
+    }
+
+    const prepared = await prepareLicenseImport(rawRows, readColumnMapping(formData));
+
+    if (intent === "import") {
+      if (!prepared.mapping.licenseKey) {
+        return json({ success: false, error: "Map a column to License key before importing" }, { status: 400 });
+      }
+
+      const result = await importLicenses(prepared, {
+        actorType: ACTOR_TYPES.ADMIN,
+        actor: describeAdminActor(adminContext),
+        request
+      });
+
+      return json({ success: true, intent, ...result, skipped: result.skipped + unreadable });
+    }
+
+    return json({
+      success: true,
+      intent: "preview",
+      format,
+      columns: prepared.columns,
+      mapping: prepared.mapping,
+      summary: prepared.summary,
+      total: prepared.rows.length,
+      unreadable,
+      rows: prepared.rows.slice(0, PREVIEW_ROWS).map(({ row, record, status, error }) => ({
+        row,
+        licenseKey: record?.licenseKey || "",
+        orderId: record?.orderId || "",
+        customerEmail: record?.customerEmail || "",
+        productName: record?.productName || "",
+        purchasedAt: record?.purchasedAt || null,
+        status,
+        error
+      }))
+    });
+
+  } catch (error) {
+    console.error("License import error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Offers the rows that were not imported as a CSV download
+function downloadErrorReport(errors) {
+  const csv = stringifyCsv([
+    ["Row", "License key", "Result", "Error"],
+    ...errors.map((error) => [error.row, error.licenseKey, error.status, error.error || ""])
+  ]);
+  const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+  const link = document.createElement("a");
+
+  link.href = url;
+  link.download = "license-import-errors.csv";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function LicenseImport() {
+  const { fields } = useLoaderData();
+  const fetcher = useFetcher();
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState("");
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const isBusy = fetcher.state !== "idle";
+  const isImporting = isBusy && fetcher.formData?.get("intent") === "import";
+  const error = fetcher.data && !fetcher.data.success ? fetcher.data.error : null;
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data?.success) {
+      return;
+    }
+
+    if (fetcher.data.intent === "preview") {
+      setPreview(fetcher.data);
+      setMapping(fetcher.data.mapping);
+      setResult(null);
+    } else {
+      setPreview(null);
+      setResult(fetcher.data);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const submit = (intent, { nextFile = file, nextFormat = format, nextMapping = mapping } = {}) => {
+    const formData = new FormData();
+    formData.append("intent", intent);
+    formData.append("file", nextFile);
+    formData.append("format", nextFormat);
+
+    // Without a mapping the server detects columns from their names
+    if (nextMapping) {
+      for (const { field } of fields) {
+        formData.append(`mapping.${field}`, nextMapping[field] || "");
+      }
+    }
+
+    fetcher.submit(formData, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const handleDrop = (_files, acceptedFiles) => {
+    const [nextFile] = acceptedFiles;
+    if (!nextFile) {
+      return;
+    }
+
+    setFile(nextFile);
+    setMapping(null);
+    setResult(null);
+    submit("preview", { nextFile, nextMapping: null });
+  };
+
+  const handleFormatChange = (value) => {
+    setFormat(value);
+    setMapping(null);
+    if (file) {
+      submit("preview", { nextFormat: value, nextMapping: null });
+    }
+  };
+
+  const handleMappingChange = (field, column) => {
+    const nextMapping = { ...mapping, [field]: column };
+    setMapping(nextMapping);
+    submit("preview", { nextMapping });
+  };
+
+  const columnOptions = [
+    { label: "Not mapped", value: "" },
+    ...(preview?.columns || []).map((column) => ({ label: column, value: column }))
+  ];
+
+  const previewRows = (preview?.rows || []).map((row) => {
+    const badge = STATUS_BADGES[row.status];
+
+    return [
+      row.row,
+      row.licenseKey || "—",
+      row.orderId || "—",
+      row.customerEmail || "—",
+      row.productName || "—",
+      row.purchasedAt ? new Date(row.purchasedAt).toLocaleDateString() : "—",
+      <BlockStack gap="100" key="result">
+        <Badge tone={badge.tone}>{badge.label}</Badge>
+        {row.error && (
+          <Text as="span" variant="bodySm" tone="subdued">{row.error}</Text>
+        )}
+      </BlockStack>
+    ];
+  });
+
+  return (
+    <Page
+      title="Import licenses"
+      backAction={{ content: "License Management", url: "/app/license" }}
+    >
+      <BlockStack gap="500">
+
+        {error && (
+          <Banner tone="critical">
+            <p>{error}</p>
+          </Banner>
+        )}
+
+        {result && (
+          <Banner
+            tone={result.errors.length > 0 ? "warning" : "success"}
+            title={`Imported ${result.imported} license${result.imported === 1 ? "" : "s"}`}
+            action={result.errors.length > 0 ? {
+              content: "Download error report",
+              onAction: () => downloadErrorReport(result.errors)
+            } : undefined}
+            onDismiss={() => setResult(null)}
+          >
+            {result.refunded > 0 && (
+              <p>Recorded the refund of {result.refunded} license{result.refunded === 1 ? "" : "s"}.</p>
+            )}
+            {result.skipped > 0 && (
+              <p>{result.skipped} row{result.skipped === 1 ? " was" : "s were"} skipped.</p>
+            )}
+          </Banner>
+        )}
+
+        <Card>
+          <BlockStack gap="400">
+            <Text variant="headingMd" as="h2">Export file</Text>
+            <Text as="p" tone="subdued">
+              Upload an order export from BIG Digital Downloads or another store, as CSV or JSON.
+              Nothing is saved until you confirm the import.
+            </Text>
+
+            <Select
+              label="Format"
+              options={[
+                { label: "Detect from file name", value: "" },
+                { label: "CSV", value: "csv" },
+                { label: "JSON", value: "json" }
+              ]}
+              value={format}
+              onChange={handleFormatChange}
+            />
+
+            <DropZone
+              accept=".csv,.json,text/csv,application/json"
+              allowMultiple={false}
+              onDrop={handleDrop}
+            >
+              {file ? (
+                <BlockStack gap="100" inlineAlign="center">
+                  <Text as="p" fontWeight="semibold">{file.name}</Text>
+                  <Text as="p" variant="bodySm" tone="subdued">Drop another file to replace it</Text>
+                </BlockStack>
+              ) : (
+                <DropZone.FileUpload actionHint="Accepts .csv and .json" />
+              )}
+            </DropZone>
+          </BlockStack>
+        </Card>
+
+        {preview && (
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">Columns</Text>
+              <Text as="p" tone="subdued">
+                Columns were matched by name. Change any that were matched wrongly.
+              </Text>
+
+              <InlineStack gap="400" wrap>
+                {fields.map(({ field, label }) => (
+                  <div key={field} style={{ minWidth: "200px" }}>
+                    <Select
+                      label={label}
+                      options={columnOptions}
+                      value={mapping?.[field] || ""}
+                      onChange={(column) => handleMappingChange(field, column)}
+                      disabled={isBusy}
+                    />
+                  </div>
+                ))}
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        )}
+
+        {preview && (
+          <Card>
+            <BlockStack gap="400">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h2">Preview ({preview.total} rows)</Text>
+                <Button
+                  variant="primary"
+                  onClick={() => submit("import")}
+                  loading={isImporting}
+                  disabled={isBusy || preview.summary.new + preview.summary.refunded === 0}
+                >
+                  Import {preview.summary.new} license{preview.summary.new === 1 ? "" : "s"}
+                </Button>
+              </InlineStack>
+
+              <InlineStack gap="200">
+                {Object.entries(STATUS_BADGES).map(([status, badge]) => (
+                  <Badge key={status} tone={badge.tone}>
+                    {`${preview.summary[status]} ${badge.label.toLowerCase()}`}
+                  </Badge>
+                ))}
+              </InlineStack>
+
+              <DataTable
+                columnContentTypes={['numeric', 'text', 'text', 'text', 'text', 'text', 'text']}
+                headings={['Row', 'License key', 'Order', 'Email', 'Product', 'Purchased', 'Result']}
+                rows={previewRows}
+              />
+
+              {preview.unreadable > 0 && (
+                <Text as="p" tone="subdued">
+                  {preview.unreadable} {preview.unreadable === 1 ? "entry is not a row" : "entries are not rows"} and will be skipped.
+                </Text>
+              )}
+
+              {preview.total > preview.rows.length && (
+                <Text as="p" tone="subdued">
+                  Showing the first {preview.rows.length} of {preview.total} rows.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        )}
+
+      </BlockStack>
+    </Page>
+  );
+}
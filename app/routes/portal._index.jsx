@@ -0,0 +1,258 @@
+import { json, redirect } from "@remix-run/node";
+import { Form, useActionData, useNavigation } from "@remix-run/react";
+import {
+  createPortalSession,
+  getPortalSession,
+  requestPortalCode,
+  verifyPortalCode
+} from "../models/portal.server";
+import { getPortalLockout, limitPortalRequest, rateLimitedResponse } from "../models/rate-limit.server";
+
+// Sign-in for the license portal: the customer enters their license key and
+// order email, then the one-time code emailed to them
+
+export async function loader({ request }) {
+  if (await getPortalSession(request)) {
+    return redirect("/portal/license");
+  }
+  return null;
+}
+
+export async function action({ request }) {
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const licenseKey = String(formData.get("licenseKey") || "").trim();
+  const email = String(formData.get("email") || "").trim();
+  const step = intent === "verify" ? "code" : "email";
+
+  if (!licenseKey || !email) {
+    return json(
+      { success: false, step: "email", licenseKey, email, error: "License key and email are required" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const rateLimit = await limitPortalRequest(request, { licenseKey });
+
+    if (rateLimit.limited) {
+      return rateLimitedResponse(rateLimit, { step, licenseKey, email });
+    }
+
+    // No new codes or guesses while the key is locked after too many wrong codes
+    const lockout = await getPortalLockout(licenseKey);
+
+    if (lockout.locked) {
+      return rateLimitedResponse(lockout, {
+        error: `Too many wrong codes. Please try again in ${Math.ceil(lockout.retryAfter / 60)} minutes.`,
+        step: "email",
+        licenseKey,
+        email
+      });
+    }
+
+    if (intent === "verify") {
+      const code = String(formData.get("code") || "").trim();
+
+      if (!/^\d{6}$/.test(code)) {
+        return json(
+          { success: false, step, licenseKey, email, error: "Enter the 6-digit code from the email" },
+          { status: 400 }
+        );
+      }
+
+      const result = await verifyPortalCode({ licenseKey, email, code });
+
+      if (!result.success) {
+        return json({ success: false, step, licenseKey, email, error: result.error }, { status: 400 });
+      }
+
+      return createPortalSession({ licenseKey, email });
+    }
+
+    await requestPortalCode({ licenseKey, email });
+
+    return json({
+      success: true,
+      step: "code",
+      licenseKey,
+      email,
+      message: `If ${licenseKey} was bought with ${email}, a sign-in code is on its way.`
+    });
+  } catch (error) {
+    console.error("License portal sign-in error:", error);
+    return json(
+      { success: false, step, licenseKey, email, error: "Something went wrong. Please try again later." },
+      { status: 500 }
+    );
+  }
+}
+
+const labelStyle = {
+  display: "block",
+  fontSize: "14px",
+  fontWeight: "500",
+  color: "#333",
+  marginBottom: "8px"
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "12px",
+  border: "1px solid #ddd",
+  borderRadius: "6px",
+  fontSize: "16px",
+  boxSizing: "border-box"
+};
+
+const buttonStyle = {
+  background: "#007bff",
+  color: "white",
+  border: "none",
+  padding: "14px 28px",
+  borderRadius: "6px",
+  fontSize: "16px",
+  fontWeight: "500",
+  cursor: "pointer"
+};
+
+const linkButtonStyle = {
+  background: "none",
+  border: "none",
+  color: "#007bff",
+  fontSize: "14px",
+  cursor: "pointer",
+  padding: "0"
+};
+
+function Notice({ tone, children }) {
+  const colors = tone === "critical"
+    ? { background: "#fdecea", color: "#b3261e" }
+    : { background: "#e8f4fd", color: "#0b5394" };
+
+  return (
+    <p role={tone === "critical" ? "alert" : "status"} style={{
+      ...colors,
+      fontSize: "14px",
+      padding: "12px",
+      borderRadius: "6px",
+      margin: "0 0 20px 0"
+    }}>
+      {children}
+    </p>
+  );
+}
+
+export default function PortalSignIn() {
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state !== "idle";
+  const submittingIntent = navigation.formData?.get("intent");
+  const askForCode = actionData?.step === "code";
+
+  return (
+    <>
+      <div style={{ textAlign: "center", marginBottom: "30px" }}>
+        <h1 style={{ fontSize: "28px", fontWeight: "600", color: "#333", margin: "0 0 10px 0" }}>
+          🔑 License Portal
+        </h1>
+        <p style={{ fontSize: "16px", color: "#666", margin: "0" }}>
+          See where your theme license is active and manage your stores
+        </p>
+      </div>
+
+      {actionData?.error && <Notice tone="critical">{actionData.error}</Notice>}
+      {actionData?.message && <Notice>{actionData.message}</Notice>}
+
+      {askForCode ? (
+        <>
+          <Form method="post" key="code">
+            <input type="hidden" name="licenseKey" value={actionData.licenseKey} />
+            <input type="hidden" name="email" value={actionData.email} />
+
+            <div style={{ marginBottom: "30px" }}>
+              <label htmlFor="portal-code" style={labelStyle}>Sign-in code</label>
+              <input
+                id="portal-code"
+                name="code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                pattern="\d{6}"
+                maxLength={6}
+                placeholder="123456"
+                style={inputStyle}
+                required
+                autoFocus
+              />
+            </div>
+
+            <div style={{ textAlign: "center" }}>
+              <button
+                type="submit"
+                name="intent"
+                value="verify"
+                disabled={isSubmitting}
+                style={{ ...buttonStyle, opacity: isSubmitting ? 0.6 : 1 }}
+              >
+                {submittingIntent === "verify" ? "Signing in..." : "Sign in"}
+              </button>
+            </div>
+          </Form>
+
+          <Form method="post" style={{ textAlign: "center", marginTop: "20px" }}>
+            <input type="hidden" name="licenseKey" value={actionData.licenseKey} />
+            <input type="hidden" name="email" value={actionData.email} />
+            <button type="submit" name="intent" value="send" disabled={isSubmitting} style={linkButtonStyle}>
+              {submittingIntent === "send" ? "Sending..." : "Send a new code"}
+            </button>
+          </Form>
+        </>
+      ) : (
+        <Form method="post" key="email">
+          <div style={{ marginBottom: "20px" }}>
+            <label htmlFor="portal-license-key" style={labelStyle}>License Key</label>
+            <input
+              id="portal-license-key"
+              name="licenseKey"
+              type="text"
+              defaultValue={actionData?.licenseKey}
+              placeholder="TL-XXXXXXXX-XXXXXXXX"
+              style={inputStyle}
+              required
+            />
+          </div>
+
+          <div style={{ marginBottom: "30px" }}>
+            <label htmlFor="portal-email" style={labelStyle}>Order Email</label>
+            <input
+              id="portal-email"
+              name="email"
+              type="email"
+              autoComplete="email"
+              defaultValue={actionData?.email}
+              placeholder="you@example.com"
+              style={inputStyle}
+              required
+            />
+            <p style={{ fontSize: "12px", color: "#666", margin: "4px 0 0 0" }}>
+              The email address you used to buy the theme. We&apos;ll send a sign-in code to it.
+            </p>
+          </div>
+
+          <div style={{ textAlign: "center" }}>
+            <button
+              type="submit"
+              name="intent"
+              value="send"
+              disabled={isSubmitting}
+              style={{ ...buttonStyle, opacity: isSubmitting ? 0.6 : 1 }}
+            >
+              {isSubmitting ? "Sending..." : "Email me a sign-in code"}
+            </button>
+          </div>
+        </Form>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,39 @@
+import { Outlet } from "@remix-run/react";
+
+// Public license portal for customers; the pages below sign in with a license key and order email
+
+export const meta = () => [{ title: "License portal" }];
+
+export default function PortalLayout() {
+  return (
+    <div style={{
+      minHeight: "100vh",
+      background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      padding: "20px",
+      fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif"
+    }}>
+      <div style={{ maxWidth: "640px", width: "100%" }}>
+        <div style={{
+          background: "white",
+          borderRadius: "12px",
+          padding: "40px",
+          boxShadow: "0 20px 40px rgba(0, 0, 0, 0.1)"
+        }}>
+          <Outlet />
+
+          <hr style={{ border: "none", borderTop: "1px solid #eee", margin: "30px 0" }} />
+
+          <p style={{ fontSize: "14px", color: "#666", margin: "0", textAlign: "center" }}>
+            Need help? Contact support at{" "}
+            <a href="mailto:support@yourthemestore.com" style={{ color: "#007bff" }}>
+              support@yourthemestore.com
+            </a>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+import { json } from "@remix-run/node";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  deactivatePortalDomain,
+  destroyPortalSession,
+  getPortalOverview,
+  requirePortalSession
+} from "../models/portal.server";
+
+export async function loader({ request }) {
+  const { licenseKey } = await requirePortalSession(request);
+
+  return json(await getPortalOverview(licenseKey));
+}
+
+export async function action({ request }) {
+  const { licenseKey, email } = await requirePortalSession(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "logout") {
+    return destroyPortalSession(request);
+  }
+
+  if (intent !== "deactivate") {
+    return json({ success: false, error: "Unknown action" }, { status: 400 });
+  }
+
+  try {
+    const domain = formData.get("domain");
+
+    if (!domain) {
+      return json({ success: false, error: "Domain is required" }, { status: 400 });
+    }
+
+    const result = await deactivatePortalDomain({ licenseKey, email, domain, request });
+
+    if (!result.success) {
+      return json({ success: false, error: result.error }, { status: 400 });
+    }
+
+    return json({
+      success: true,
+      message: `Your license was deactivated on ${String(domain).toLowerCase()}. You can now activate it on another store.`
+    });
+  } catch (error) {
+    console.error("License portal deactivation error:", error);
+    return json(
+      { success: false, error: "Something went wrong. Please try again later." },
+      { status: 500 }
+    );
+  }
+}
+
+const STATUS_LABELS = {
+  active: { label: "Active", color: "#1e7e34" },
+  grace: { label: "Expired – grace period", color: "#b26a00" },
+  expired: { label: "Expired", color: "#b3261e" },
+  not_activated: { label: "Not activated yet", color: "#666" }
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : "—");
+
+const headingStyle = { fontSize: "18px", fontWeight: "600", color: "#333", margin: "30px 0 12px 0" };
+
+const cellStyle = { padding: "10px 8px", borderBottom: "1px solid #eee", fontSize: "14px", color: "#333", textAlign: "left" };
+
+const mutedStyle = { fontSize: "14px", color: "#666", margin: "0" };
+
+const linkButtonStyle = {
+  background: "none",
+  border: "none",
+  color: "#007bff",
+  fontSize: "14px",
+  cursor: "pointer",
+  padding: "0"
+};
+
+function Detail({ label, children }) {
+  return (
+    <div>
+      <dt style={{ fontSize: "12px", color: "#666", marginBottom: "4px" }}>{label}</dt>
+      <dd style={{ fontSize: "15px", color: "#333", margin: "0" }}>{children}</dd>
+    </div>
+  );
+}
+
+export default function PortalLicense() {
+  const license = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const deactivating = navigation.formData?.get("intent") === "deactivate"
+    ? navigation.formData.get("domain")
+    : null;
+  const status = STATUS_LABELS[license.status] || { label: license.status, color: "#333" };
+  const { allowance } = license;
+
+  return (
+    <>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: "12px" }}>
+        <h1 style={{ fontSize: "24px", fontWeight: "600", color: "#333", margin: "0" }}>
+          {license.productName || "Your license"}
+        </h1>
+        <Form method="post">
+          <button type="submit" name="intent" value="logout" style={linkButtonStyle}>Sign out</button>
+        </Form>
+      </div>
+      <p style={{ ...mutedStyle, fontFamily: "monospace", margin: "4px 0 24px 0" }}>{license.licenseKey}</p>
+
+      {actionData?.error && (
+        <p role="alert" style={{ background: "#fdecea", color: "#b3261e", fontSize: "14px", padding: "12px", borderRadius: "6px", margin: "0 0 20px 0" }}>
+          {actionData.error}
+        </p>
+      )}
+      {actionData?.message && (
+        <p role="status" style={{ background: "#e8f4fd", color: "#0b5394", fontSize: "14px", padding: "12px", borderRadius: "6px", margin: "0 0 20px 0" }}>
+          {actionData.message}
+        </p>
+      )}
+
+      <dl style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))", gap: "16px", margin: "0" }}>
+        <Detail label="Status">
+          <span style={{ color: status.color, fontWeight: "600" }}>{status.label}</span>
+        </Detail>
+        <Detail label="Expires">
+          {license.expiresAt ? formatDate(license.expiresAt) : "Never"}
+          {license.status === "grace" && (
+            <span style={mutedStyle}> (theme locks {formatDate(license.graceEndsAt)})</span>
+          )}
+        </Detail>
+        <Detail label="Stores">
+          {license.activations.filter((activation) => activation.environment !== "development").length} of {license.maxActivations}
+        </Detail>
+      </dl>
+
+      <h2 style={headingStyle}>Active stores</h2>
+      {license.activations.length === 0 ? (
+        <p style={mutedStyle}>
+          Your license is not active on any store. <a href="/activate" style={{ color: "#007bff" }}>Activate it</a>
+        </p>
+      ) : (
+        <>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>Store</th>
+                <th style={cellStyle}>Theme</th>
+                <th style={cellStyle}>Since</th>
+                <th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {license.activations.map((activation) => (
+                <tr key={activation.domain}>
+                  <td style={cellStyle}>
+                    {activation.domain}
+                    {activation.environment === "development" && <span style={mutedStyle}> (development)</span>}
+                    {activation.suspended && <span style={mutedStyle}> (app uninstalled)</span>}
+                  </td>
+                  <td style={cellStyle}>{activation.themeName || "—"}</td>
+                  <td style={cellStyle}>{formatDate(activation.activatedAt)}</td>
+                  <td style={{ ...cellStyle, textAlign: "right" }}>
+                    <Form
+                      method="post"
+                      onSubmit={(event) => {
+                        if (!confirm(`Deactivate your license on ${activation.domain}? The theme will lock on that store.`)) {
+                          event.preventDefault();
+                        }
+                      }}
+                    >
+                      <input type="hidden" name="domain" value={activation.domain} />
+                      <button
+                        type="submit"
+                        name="intent"
+                        value="deactivate"
+                        disabled={!allowance.allowed || Boolean(deactivating)}
+                        style={{ ...linkButtonStyle, color: "#b3261e", opacity: allowance.allowed ? 1 : 0.5 }}
+                      >
+                        {deactivating === activation.domain ? "Deactivating..." : "Deactivate"}
+                      </button>
+                    </Form>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ ...mutedStyle, marginTop: "12px" }}>
+            {allowance.used} of {allowance.limit} transfers or deactivations used in the last 12 months.
+            {!allowance.allowed && allowance.nextAvailableAt && ` The next one is possible on ${formatDate(allowance.nextAvailableAt)}.`}
+          </p>
+        </>
+      )}
+
+      <h2 style={headingStyle}>Transfer history</h2>
+      {license.transfers.length === 0 ? (
+        <p style={mutedStyle}>Your license has not been moved between stores.</p>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Date</th>
+              <th style={cellStyle}>From</th>
+              <th style={cellStyle}>To</th>
+            </tr>
+          </thead>
+          <tbody>
+            {license.transfers.map((transfer) => (
+              <tr key={`${transfer.createdAt}-${transfer.toDomain}`}>
+                <td style={cellStyle}>{formatDate(transfer.createdAt)}</td>
+                <td style={cellStyle}>{transfer.fromDomain}</td>
+                <td style={cellStyle}>{transfer.toDomain}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
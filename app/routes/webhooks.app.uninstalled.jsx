@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { suspendStoreActivations } from "../models/store-uninstall.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,12 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // The activations are kept; UNINSTALL_POLICY decides whether the theme keeps working
+  const suspended = await suspendStoreActivations(shop, { request });
+
+  if (suspended > 0) {
+    console.log(`Suspended ${suspended} license activation(s) for ${shop}`);
+  }
+
   return new Response();
 };
@@ -0,0 +1,89 @@
+import { json } from "@remix-run/node";
+import crypto from "crypto";
+import {
+  markOrderRefunded,
+  normalizePurchaseRecord,
+  revokeRefundedKeys,
+  savePurchaseRecords
+} from "../models/key-source.server";
+
+// Order feed from BIG Digital Downloads. Requests are signed with an HMAC-SHA256
+// of the raw body (base64) in X-Webhook-Signature using BIG_DIGITAL_DOWNLOADS_WEBHOOK_SECRET.
+//
+// Payload: { event: "order.paid" | "order.refunded", orderId, licenses: [{ licenseKey, customerEmail, ... }] }
+function isValidSignature(body, signature) {
+  const secret = process.env.BIG_DIGITAL_DOWNLOADS_WEBHOOK_SECRET;
+  if (!secret || !signature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac("sha256", secret).update(body).digest();
+  const received = Buffer.from(signature, "base64");
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+export async function action({ request }) {
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const body = await request.text();
+
+  if (!isValidSignature(body, request.headers.get("X-Webhook-Signature"))) {
+    return json({ success: false, error: "Invalid signature" }, { status: 401 });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch {
+    return json({ success: false, error: "Invalid JSON payload" }, { status: 400 });
+  }
+
+  try {
+    const event = String(payload.event || "").toLowerCase();
+    const orderId = payload.orderId || payload.order_id || null;
+
+    console.log(`Received BIG Digital Downloads ${event} webhook for order ${orderId}`);
+
+    const records = (payload.licenses || [])
+      .map((license) => normalizePurchaseRecord({
+        orderId,
+        customerEmail: payload.customerEmail || payload.email,
+        ...license
+      }))
+      .filter(Boolean);
+
+    if (event.includes("refund") || event.includes("cancel")) {
+      const orderKeys = orderId ? await markOrderRefunded(orderId) : [];
+      const refundedKeys = records.map((record) => ({
+        ...record,
+        refundedAt: record.refundedAt || new Date()
+      }));
+      await savePurchaseRecords(refundedKeys);
+
+      // A refunded key must stop unlocking the stores it was activated on
+      const revoked = await revokeRefundedKeys(
+        [...orderKeys, ...records.map((record) => record.licenseKey)],
+        { orderId, request }
+      );
+
+      return json({ success: true, revoked });
+    }
+
+    const saved = await savePurchaseRecords(records);
+
+    return json({ success: true, saved });
+
+  } catch (error) {
+    console.error("BIG Digital Downloads webhook error:", error);
+    return json(
+      {
+        success: false,
+        error: "Internal server error"
+      },
+      { status: 500 }
+    );
+  }
+}
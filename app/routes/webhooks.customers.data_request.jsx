@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { processComplianceRequest } from "../models/compliance.server";
+
+// A customer asked the store for their data; the export is kept on the ComplianceRequest record
+export const action = async ({ request }) => {
+  const { payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await processComplianceRequest({ topic, shop, webhookId, payload });
+
+  return new Response();
+};
@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { processComplianceRequest } from "../models/compliance.server";
+
+// A store asked to erase a customer's data
+export const action = async ({ request }) => {
+  const { payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await processComplianceRequest({ topic, shop, webhookId, payload });
+
+  return new Response();
+};
@@ -0,0 +1,27 @@
+import { authenticate } from "../shopify.server";
+import { syncStoreThemes } from "../models/store-themes.server";
+
+// themes/publish, themes/update and themes/delete: re-check the store's themes against its licenses
+export const action = async ({ request }) => {
+  const { admin, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Only stores that still have the app installed can be queried
+  if (!admin) {
+    return new Response();
+  }
+
+  try {
+    const changed = await syncStoreThemes(shop, admin);
+
+    if (changed > 0) {
+      console.log(`Updated theme details on ${changed} license activation(s) for ${shop}`);
+    }
+  } catch (error) {
+    // Answer anyway: the next theme webhook checks again, and retries would repeat the same queries
+    console.error("Theme sync error:", error);
+  }
+
+  return new Response();
+};
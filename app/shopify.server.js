@@ -6,6 +6,8 @@ import {
 } from "@shopify/shopify-app-remix/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { syncActivationMetafield, syncPendingMetafield } from "./models/store-metafield.server";
+import { resumeStoreActivations } from "./models/store-uninstall.server";
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -16,6 +18,15 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  hooks: {
+    afterAuth: async ({ session }) => {
+      // Reinstalling lifts the suspension the uninstall webhook put on the store's licenses
+      const resumed = await resumeStoreActivations(session.shop);
+      // Writes that failed while the app was not installed can go through now,
+      // and resumed stores need a fresh license state
+      await (resumed > 0 ? syncActivationMetafield(session.shop) : syncPendingMetafield(session.shop));
+    },
+  },
   future: {
     unstable_newEmbeddedAuthStrategy: true,
     removeRest: true,
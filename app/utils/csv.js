@@ -0,0 +1,86 @@
+/**
+ * Minimal RFC 4180 CSV parser. Handles quoted fields, escaped quotes ("")
+ * and newlines inside quotes. Returns an array of rows (arrays of strings).
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by header name.
+ */
+export function parseCsvRecords(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  const keys = headers.map((header) => header.trim());
+
+  return rows.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? "").trim()]))
+  );
+}
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turns rows (arrays of values) into CSV text, quoting fields where needed.
+ * Text that a spreadsheet would read as a formula is prefixed with an
+ * apostrophe so it opens as plain text.
+ */
+export function stringifyCsv(rows) {
+  return rows.map((row) => row.map(escapeCsvField).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv, parseCsvRecords, stringifyCsv } from "./csv";
+
+describe("parseCsv", () => {
+  it("splits rows and fields", () => {
+    expect(parseCsv("a,b\r\nc,d\ne,f")).toEqual([["a", "b"], ["c", "d"], ["e", "f"]]);
+  });
+
+  it("reads quoted fields with commas, escaped quotes and newlines", () => {
+    expect(parseCsv('"a,1","say ""hi""","two\nlines"\n')).toEqual([["a,1", 'say "hi"', "two\nlines"]]);
+  });
+
+  it("drops a byte order mark and blank lines", () => {
+    expect(parseCsv("\uFEFFkey\n\n , \nTL-1\n")).toEqual([["key"], ["TL-1"]]);
+  });
+
+  it("keeps empty fields", () => {
+    expect(parseCsv("a,,c")).toEqual([["a", "", "c"]]);
+  });
+
+  it("returns no rows for empty input", () => {
+    expect(parseCsv("")).toEqual([]);
+    expect(parseCsv(null)).toEqual([]);
+  });
+});
+
+describe("parseCsvRecords", () => {
+  it("keys each row by the trimmed headers", () => {
+    expect(parseCsvRecords(" License key ,Email\nTL-1, a@example.com \nTL-2")).toEqual([
+      { "License key": "TL-1", Email: "a@example.com" },
+      { "License key": "TL-2", Email: "" }
+    ]);
+  });
+});
+
+describe("stringifyCsv", () => {
+  it("quotes fields that need it", () => {
+    expect(stringifyCsv([["a,b", 'say "hi"', null, 3]])).toBe('"a,b","say ""hi""",,3\r\n');
+  });
+
+  it("prefixes text a spreadsheet would run as a formula", () => {
+    expect(stringifyCsv([["=1+1", "+1", "-1", "@SUM(A1)", "\tx", "plain"]])).toBe(
+      "'=1+1,'+1,'-1,'@SUM(A1),'\tx,plain\r\n"
+    );
+  });
+
+  it("leaves numbers alone", () => {
+    expect(stringifyCsv([[-5]])).toBe("-5\r\n");
+  });
+
+  it("reads back what it wrote", () => {
+    const rows = [["key", "note"], ["TL-1", 'a "quoted", multi\nline note']];
+    expect(parseCsv(stringifyCsv(rows))).toEqual(rows);
+  });
+});
@@ -0,0 +1,28 @@
+// Reverse proxies in front of the app that append the address they received a request
+// from to X-Forwarded-For (TRUSTED_PROXY_HOPS, default 1). 0 ignores the header.
+function getTrustedProxyHops() {
+  const hops = parseInt(process.env.TRUSTED_PROXY_HOPS, 10);
+  return hops >= 0 ? hops : 1;
+}
+
+// Client IP as reported by the hosting proxy, or null when it cannot be determined. Clients
+// can send their own X-Forwarded-For, so only the entries the trusted proxies appended count:
+// the client is the address the outermost trusted proxy saw, counted from the right.
+export function getClientIp(request) {
+  const hops = getTrustedProxyHops();
+
+  if (hops === 0) {
+    return null;
+  }
+
+  const forwardedFor = (request.headers.get("X-Forwarded-For") || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (forwardedFor.length > 0) {
+    return forwardedFor[Math.max(0, forwardedFor.length - hops)];
+  }
+
+  return request.headers.get("X-Real-IP") || null;
+}
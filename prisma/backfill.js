@@ -0,0 +1,24 @@
+// Fills in fields that documents stored by earlier versions of the app do not have.
+// `prisma db push` only creates collections and indexes and never rewrites documents,
+// and Prisma cannot make list fields optional, so required list fields are set here.
+// Safe to run repeatedly: only documents still missing a field are updated.
+import { PrismaClient } from "@prisma/client";
+
+const BACKFILLS = [
+  { collection: "License", field: "tags", value: [] }
+];
+
+const prisma = new PrismaClient();
+
+try {
+  for (const { collection, field, value } of BACKFILLS) {
+    const result = await prisma.$runCommandRaw({
+      update: collection,
+      updates: [{ q: { [field]: { $exists: false } }, u: { $set: { [field]: value } }, multi: true }]
+    });
+
+    console.log(`Backfilled ${collection}.${field} on ${result.nModified ?? 0} documents`);
+  }
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests run on their own config: the Remix plugin in vite.config.js only builds the app
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node"
+  }
+});